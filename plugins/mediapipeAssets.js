@@ -0,0 +1,133 @@
+// Serves the pinned MediaPipe packages from our own origin instead of a CDN.
+// Files are copied out of node_modules into dist/mediapipe/<package>@<version>/
+// at build time (served straight from node_modules in dev), and their SRI
+// hashes are exposed to the app through `virtual:mediapipe-assets` so the
+// loader can refuse files that don't match what we installed. The BlazeFace
+// model isn't published as a package, so it lives in models/ instead (see
+// models/blazeface/README.md) and is versioned by its content hash.
+
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const require = createRequire(import.meta.url)
+
+const PACKAGES = {
+    face_mesh: [
+        'face_mesh.js',
+        'face_mesh.binarypb',
+        'face_mesh_solution_packed_assets.data',
+        'face_mesh_solution_packed_assets_loader.js',
+        'face_mesh_solution_simd_wasm_bin.js',
+        'face_mesh_solution_simd_wasm_bin.wasm',
+        'face_mesh_solution_wasm_bin.js',
+        'face_mesh_solution_wasm_bin.wasm',
+    ],
+    camera_utils: ['camera_utils.js'],
+}
+
+const MODELS = {
+    blazeface: ['model.json', 'model.bin'],
+}
+
+const MODELS_ROOT = fileURLToPath(new URL('../models/', import.meta.url))
+
+const CONTENT_TYPES = {
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.wasm': 'application/wasm',
+}
+
+const VIRTUAL_ID = 'virtual:mediapipe-assets'
+const RESOLVED_VIRTUAL_ID = '\0' + VIRTUAL_ID
+
+const describe = (name, version, root, files) => ({
+    name,
+    version,
+    dir: `${name}@${version}`,
+    files: files.map(file => {
+        const path = join(root, file)
+        const digest = createHash('sha384').update(readFileSync(path)).digest('base64')
+        return { file, path, integrity: `sha384-${digest}` }
+    }),
+})
+
+const readPackages = () => Object.entries(PACKAGES).map(([name, files]) => {
+    const manifest = require.resolve(`@mediapipe/${name}/package.json`)
+    const { version } = JSON.parse(readFileSync(manifest, 'utf8'))
+    return describe(name, version, dirname(manifest), files)
+})
+
+const readModels = () => Object.entries(MODELS).map(([name, files]) => {
+    const root = join(MODELS_ROOT, name)
+    const hash = createHash('sha256')
+    files.forEach(file => hash.update(readFileSync(join(root, file))))
+    return describe(name, hash.digest('hex').slice(0, 8), root, files)
+})
+
+/**
+ * @param {object} [options] - { emit }: set false for the copy used in worker
+ *   builds, so the files are only written once
+ */
+export default function mediapipeAssets({ emit = true } = {}) {
+    let base = '/'
+    let packages = []
+
+    return {
+        name: 'mediapipe-assets',
+
+        configResolved(config) {
+            base = config.base
+            packages = [...readPackages(), ...readModels()]
+        },
+
+        resolveId(id) {
+            if (id === VIRTUAL_ID) return RESOLVED_VIRTUAL_ID
+        },
+
+        load(id) {
+            if (id !== RESOLVED_VIRTUAL_ID) return
+
+            const assets = Object.fromEntries(packages.map(pkg => [pkg.name, {
+                version: pkg.version,
+                baseUrl: `${base}mediapipe/${pkg.dir}/`,
+                integrity: Object.fromEntries(pkg.files.map(({ file, integrity }) => [file, integrity])),
+            }]))
+            return `export const MEDIAPIPE_ASSETS = ${JSON.stringify(assets, null, 4)};\n`
+        },
+
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                const url = req.url.split('?')[0]
+                for (const pkg of packages) {
+                    const prefix = `${base}mediapipe/${pkg.dir}/`
+                    if (!url.startsWith(prefix)) continue
+
+                    const asset = pkg.files.find(({ file }) => file === url.slice(prefix.length))
+                    if (!asset) break
+
+                    const ext = asset.file.slice(asset.file.lastIndexOf('.'))
+                    res.setHeader('Content-Type', CONTENT_TYPES[ext] || 'application/octet-stream')
+                    res.end(readFileSync(asset.path))
+                    return
+                }
+                next()
+            })
+        },
+
+        generateBundle() {
+            if (!emit) return
+            for (const pkg of packages) {
+                for (const { file, path } of pkg.files) {
+                    this.emitFile({
+                        type: 'asset',
+                        fileName: `mediapipe/${pkg.dir}/${file}`,
+                        source: readFileSync(path),
+                    })
+                }
+            }
+        },
+    }
+}
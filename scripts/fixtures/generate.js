@@ -0,0 +1,140 @@
+// Generates the labeled landmark recordings `npm test` replays, built from a
+// rigid canonical face (the points headPose.js, gaze.js and the EAR/MAR
+// features read) posed for each case: turned or tilted head, closed eyes,
+// irises off to the side, a second face. Not real camera data - it pins down
+// the pipeline's behavior on clear-cut cases so a change that breaks them
+// fails the test.
+//
+//   synthetic-session.json   attention statuses
+//   synthetic-identity.json  multiple_faces, replayed with --identity
+//
+// Rerun after changing a scenario:
+//
+//   node scripts/fixtures/generate.js
+
+import { writeFileSync } from 'node:fs'
+
+const FRAME_MS = 250
+const START = Date.UTC(2024, 0, 1, 9, 0, 0)
+const LANDMARKS = 478
+const SCALE = 0.0005    // Model units to normalized image coordinates
+
+// Model coordinates: x to the image right, y up, z towards the camera
+const FACE = {
+    1: [0, 0, 0],                                               // Nose tip
+    152: [0, -330, -65],                                        // Chin
+    168: [0, 170, -100],                                        // Nose bridge
+    33: [-225, 170, -135], 133: [-75, 170, -120],               // Eye corners
+    263: [225, 170, -135], 362: [75, 170, -120],
+    160: [-175, 200, -130], 144: [-175, 140, -130],             // Lids, for EAR
+    158: [-125, 200, -125], 153: [-125, 140, -125],
+    387: [175, 200, -130], 373: [175, 140, -130],
+    385: [125, 200, -125], 380: [125, 140, -125],
+    159: [-150, 205, -128], 145: [-150, 135, -128],             // Lids, for gaze
+    386: [150, 205, -128], 374: [150, 135, -128],
+    61: [-150, -150, -125], 291: [150, -150, -125],             // Mouth
+    78: [-120, -150, -120], 308: [120, -150, -120],
+    81: [-50, -140, -115], 178: [-50, -160, -115],
+    13: [0, -140, -110], 14: [0, -160, -110],
+    311: [50, -140, -115], 402: [50, -160, -115],
+}
+// Irises centered in each eye (468-472 image left, 473-477 image right)
+const IRISES = { 468: [-150, 170, -125], 473: [150, 170, -125] }
+const EYE_LINE = 170
+const LIDS = [160, 144, 158, 153, 387, 373, 385, 380, 159, 145, 386, 374]
+
+const round = (value) => Math.round(value * 1e4) / 1e4
+
+const rad = (deg) => (deg * Math.PI) / 180
+
+// Flat [x, y, z, ...] landmarks for the face posed as given; points nothing
+// reads are left at 0 to keep the file small.
+//   yaw, pitch  head rotation in degrees (pitch > 0 looking down)
+//   eyesClosed  lids collapsed onto the eye line (EAR 0)
+//   irisShift   both irises moved along the eye, in model units (> 0 image right)
+//   center, scale  where the face sits in the image and how big it is
+const face = ({ yaw = 0, pitch = 0, eyesClosed = false, irisShift = 0, center = [0.5, 0.5], scale = 1 } = {}) => {
+    const points = { ...FACE }
+    for (let i = 0; i < 5; i++) {
+        points[468 + i] = [IRISES[468][0] + irisShift, IRISES[468][1], IRISES[468][2]]
+        points[473 + i] = [IRISES[473][0] + irisShift, IRISES[473][1], IRISES[473][2]]
+    }
+    if (eyesClosed) {
+        LIDS.forEach(index => { points[index] = [points[index][0], EYE_LINE, points[index][2]] })
+    }
+
+    const [a, b] = [rad(yaw), rad(pitch)]
+    const flat = new Array(LANDMARKS * 3).fill(0)
+    for (const [index, [x, y, z]] of Object.entries(points)) {
+        // Tilt, then turn
+        const tiltedY = y * Math.cos(b) - z * Math.sin(b)
+        const tiltedZ = y * Math.sin(b) + z * Math.cos(b)
+        const turnedX = x * Math.cos(a) + tiltedZ * Math.sin(a)
+        const turnedZ = -x * Math.sin(a) + tiltedZ * Math.cos(a)
+        flat[index * 3] = round(center[0] + turnedX * SCALE * scale)
+        flat[index * 3 + 1] = round(center[1] - tiltedY * SCALE * scale)
+        flat[index * 3 + 2] = round(-turnedZ * SCALE * scale)
+    }
+    return flat
+}
+
+// Each scenario is a list of [duration ms, faces in view]. Status changes
+// wait for their hold times (2s, 3s for distracted, 4s for drowsy), so each
+// label starts after that settles; compareTimeline skips a further second.
+const FIXTURES = {
+    'synthetic-session.json': {
+        scenario: [
+            [5000, () => [face()]],                            // Facing the screen
+            [5000, () => [face({ yaw: 40 })]],                 // Head turned well past HEAD_YAW_EXTREME
+            [5000, () => [face()]],                            // Back to the screen
+            [3000, () => []],                                  // Out of frame
+            [5000, () => [face()]],
+            [8000, () => [face({ eyesClosed: true })]],        // Dozing off
+            [5000, () => [face()]],
+            [5000, () => [face({ yaw: 20, pitch: 30 })]],      // Down and to the side, past HEAD_PITCH_DOWN
+            [5000, () => [face()]],
+            [6000, () => [face({ irisShift: 60 })]],           // Head on the screen, eyes to the side
+            [5000, () => [face()]],
+        ],
+        labels: [
+            { from: 0, to: 5000, status: 'attentive' },
+            { from: 7500, to: 10000, status: 'looking_away' },
+            { from: 12500, to: 15000, status: 'attentive' },
+            { from: 15000, to: 18000, status: 'no_face' },
+            { from: 20500, to: 23000, status: 'attentive' },
+            { from: 27500, to: 31000, status: 'drowsy' },
+            { from: 33500, to: 36000, status: 'attentive' },
+            { from: 38500, to: 41000, status: 'looking_away' },
+            { from: 43500, to: 46000, status: 'attentive' },
+            { from: 49500, to: 52000, status: 'distracted' },
+            { from: 54500, to: 57000, status: 'attentive' },
+        ],
+    },
+    'synthetic-identity.json': {
+        scenario: [
+            [5000, () => [face()]],
+            [5000, () => [face(), face({ center: [0.8, 0.45], scale: 0.6 })]],   // Someone behind, off to the side
+            [5000, () => [face()]],
+        ],
+        labels: [
+            { from: 0, to: 5000, status: 'attentive' },
+            { from: 7500, to: 10000, status: 'multiple_faces' },
+            { from: 12500, to: 15000, status: 'attentive' },
+        ],
+    },
+}
+
+for (const [file, { scenario, labels }] of Object.entries(FIXTURES)) {
+    const frames = []
+    let t = START
+    for (const [duration, faces] of scenario) {
+        for (let elapsed = 0; elapsed < duration; elapsed += FRAME_MS) {
+            frames.push({ t, width: 640, height: 480, faces: faces() })
+            t += FRAME_MS
+        }
+    }
+
+    const recording = { version: 1, recordedAt: START, detector: 'face_mesh', frames, labels }
+    writeFileSync(new URL(`./${file}`, import.meta.url), JSON.stringify(recording) + '\n')
+    console.log(`✅ Wrote ${frames.length} frames to ${file}`)
+}
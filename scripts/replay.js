@@ -0,0 +1,103 @@
+// Replays a landmark recording (saved with ⏺️ Record on the student page)
+// through the attention pipeline and prints the resulting status timeline.
+// With labels - a `labels` array in the recording or a separate file - it
+// checks the timeline against them and exits non-zero on a mismatch, so a
+// threshold or engine change can be judged against recorded sessions.
+//
+//   npm run replay -- recording.json [--labels labels.json] [--engine rules]
+//                     [--thresholds thresholds.json] [--identity] [--json]
+//
+// `npm test` replays the labeled fixtures in scripts/fixtures (see
+// generate.js there) the same way, the identity one with --identity.
+//
+// The app modules are loaded through Vite, so they resolve exactly as in the
+// browser build (including virtual:mediapipe-assets).
+
+import { readFileSync } from 'node:fs'
+import { parseArgs } from 'node:util'
+import { createServer } from 'vite'
+
+const USAGE = 'Usage: npm run replay -- <recording.json> [--labels file] [--engine name] [--thresholds file] [--identity] [--json]'
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'))
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`
+
+let args
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            labels: { type: 'string' },
+            engine: { type: 'string' },
+            thresholds: { type: 'string' },
+            identity: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+        },
+    })
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`)
+    process.exit(2)
+}
+
+const [recordingPath] = args.positionals
+if (!recordingPath) {
+    console.error(USAGE)
+    process.exit(2)
+}
+
+const { values } = args
+const recording = readJson(recordingPath)
+const labels = values.labels ? readJson(values.labels) : recording.labels
+const thresholds = values.thresholds ? readJson(values.thresholds) : undefined
+
+const server = await createServer({
+    server: { middlewareMode: true, hmr: false },
+    appType: 'custom',
+    logLevel: 'error',
+})
+
+let exitCode = 0
+try {
+    const { replayRecording, statusSegments, compareTimeline } = await server.ssrLoadModule('/src/utils/replay.js')
+
+    // The pipeline logs every frame; keep the report readable
+    const log = console.log
+    console.log = () => {}
+    let timeline
+    try {
+        timeline = replayRecording(recording, { engine: values.engine, thresholds, identityCheck: values.identity })
+    } finally {
+        console.log = log
+    }
+
+    const segments = statusSegments(timeline)
+    const comparison = labels?.length ? compareTimeline(timeline, labels) : null
+    const passed = comparison?.passed ?? true
+    if (!passed) exitCode = 1
+
+    if (values.json) {
+        console.log(JSON.stringify({ segments, comparison }, null, 2))
+    } else {
+        console.log(`▶️ ${recordingPath}: ${timeline.length} frames, ${seconds(timeline.at(-1)?.t ?? 0)}`)
+        for (const { status, from, to, frames } of segments) {
+            console.log(`  ${seconds(from).padStart(7)} – ${seconds(to).padEnd(7)} ${status.padEnd(16)} (${frames} frames)`)
+        }
+
+        if (comparison) {
+            console.log('\n🏷️ Labels:')
+            for (const { label, agreement, passed: ok, seen } of comparison.results) {
+                const mix = Object.entries(seen).map(([status, count]) => `${status} ×${count}`).join(', ') || 'no frames'
+                console.log(`  ${ok ? '✅' : '❌'} ${seconds(label.from)} – ${seconds(label.to)} ${label.status}: ${Math.round(agreement * 100)}% (${mix})`)
+            }
+            console.log(passed ? '\n✅ Timeline matches labels' : '\n❌ Timeline does not match labels')
+        }
+    }
+} catch (error) {
+    // e.g. an unsupported recording; not a label mismatch
+    console.error(`❌ ${error.message}`)
+    exitCode = 2
+} finally {
+    await server.close()
+}
+
+process.exit(exitCode)
@@ -0,0 +1,41 @@
+import { getStatusColor, getStatusLabel, formatTimeIST, formatDuration } from '../utils/detection';
+
+// Color-coded strip of a student's status spans (see utils/timeline) between
+// start and end (epoch ms). Gaps, e.g. before joining or after leaving, stay
+// empty. Open spans run to end.
+export default function AttentionTimeline({ spans, start, end, height = 8 }) {
+  const range = Math.max(end - start, 1);
+
+  return (
+    <div style={{
+      position: 'relative',
+      height: `${height}px`,
+      backgroundColor: '#f3f4f6',
+      borderRadius: '4px',
+      overflow: 'hidden',
+    }}>
+      {spans.map(({ status, from, to }, index) => {
+        const spanEnd = to ?? end;
+        const left = ((Math.max(from, start) - start) / range) * 100;
+        const width = ((Math.min(spanEnd, end) - Math.max(from, start)) / range) * 100;
+        if (width <= 0) return null;
+
+        return (
+          <div
+            key={index}
+            title={`${getStatusLabel(status)}: ${formatTimeIST(from, { seconds: true })} – ${to === null ? 'now' : formatTimeIST(to, { seconds: true })} (${formatDuration(spanEnd - from)})`}
+            style={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: `${left}%`,
+              // At least a sliver so short spans can still be hovered
+              width: `max(${width}%, 2px)`,
+              backgroundColor: getStatusColor(status),
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
+import { ConnectionState } from '../utils/websocket';
 
 export default function AudioManager({ wsManager, userId, userType, onStatusChange }) {
   const [audioEnabled, setAudioEnabled] = useState(false);
@@ -22,33 +23,27 @@ export default function AudioManager({ wsManager, userId, userType, onStatusChan
     ]
   };
 
-  // Setup WebSocket message handlers
+  // Subscribe to WebRTC signaling messages
   useEffect(() => {
     if (!wsManager) return;
 
-    const originalSend = wsManager.send.bind(wsManager);
-    
-    // Store original onMessage
-    const originalOnMessage = wsManager.onMessage;
-    
-    // Override onMessage to handle WebRTC signaling
-    wsManager.onMessage = (message) => {
-      // Call original handler first
-      if (originalOnMessage) {
-        originalOnMessage(message);
-      }
-
-      // Handle WebRTC messages
-      handleWebSocketMessage(message);
-    };
-
-    setConnected(wsManager.isConnected());
+    const unsubscribers = [
+      wsManager.on('teacher_audio_ready', handleWebSocketMessage),
+      wsManager.on('student_audio_ready', handleWebSocketMessage),
+      wsManager.on('webrtc_offer', handleWebSocketMessage),
+      wsManager.on('webrtc_answer', handleWebSocketMessage),
+      wsManager.on('webrtc_ice_candidate', handleWebSocketMessage),
+      wsManager.on('teacher_audio_stopped', handleWebSocketMessage),
+      wsManager.on('student_audio_stopped', handleWebSocketMessage),
+    ];
+
+    const unsubscribeState = wsManager.onStateChange((state) => {
+      setConnected(state === ConnectionState.OPEN);
+    });
 
     return () => {
-      // Restore original onMessage
-      if (originalOnMessage) {
-        wsManager.onMessage = originalOnMessage;
-      }
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      unsubscribeState();
     };
   }, [wsManager]);
 
@@ -119,13 +114,10 @@ export default function AudioManager({ wsManager, userId, userType, onStatusChan
     peerConnection.onicecandidate = (event) => {
       if (event.candidate && wsManager?.isConnected()) {
         console.log('🧊 Sending ICE candidate to:', peerId);
-        wsManager.send({
-          type: 'webrtc_ice_candidate',
-          data: {
-            candidate: event.candidate,
-            to_peer_id: peerId,
-            from_peer_id: userId,
-          }
+        wsManager.send('webrtc_ice_candidate', {
+          candidate: event.candidate,
+          to_peer_id: peerId,
+          from_peer_id: userId,
         });
       }
     };
@@ -195,13 +187,10 @@ export default function AudioManager({ wsManager, userId, userType, onStatusChan
       
       if (wsManager?.isConnected()) {
         console.log('📤 Sending offer to:', peerId);
-        wsManager.send({
-          type: 'webrtc_offer',
-          data: {
-            offer: offer,
-            to_peer_id: peerId,
-            from_peer_id: userId,
-          }
+        wsManager.send('webrtc_offer', {
+          offer: offer,
+          to_peer_id: peerId,
+          from_peer_id: userId,
         });
       }
     } catch (err) {
@@ -234,13 +223,10 @@ export default function AudioManager({ wsManager, userId, userType, onStatusChan
       
       if (wsManager?.isConnected()) {
         console.log('📤 Sending answer to:', from_peer_id);
-        wsManager.send({
-          type: 'webrtc_answer',
-          data: {
-            answer: answer,
-            to_peer_id: from_peer_id,
-            from_peer_id: userId,
-          }
+        wsManager.send('webrtc_answer', {
+          answer: answer,
+          to_peer_id: from_peer_id,
+          from_peer_id: userId,
         });
       }
     } catch (err) {
@@ -353,12 +339,9 @@ export default function AudioManager({ wsManager, userId, userType, onStatusChan
       
       // Notify server
       if (wsManager?.isConnected()) {
-        wsManager.send({
-          type: 'audio_ready',
-          data: {
-            userId: userId,
-            userType: userType,
-          }
+        wsManager.send('audio_ready', {
+          userId: userId,
+          userType: userType,
         });
       }
 
@@ -400,12 +383,9 @@ export default function AudioManager({ wsManager, userId, userType, onStatusChan
 
     // Notify server
     if (wsManager?.isConnected()) {
-      wsManager.send({
-        type: 'audio_stopped',
-        data: {
-          userId: userId,
-          userType: userType,
-        }
+      wsManager.send('audio_stopped', {
+        userId: userId,
+        userType: userType,
       });
     }
 
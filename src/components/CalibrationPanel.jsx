@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  CALIBRATION_STEPS,
+  CALIBRATION_STEP_MS,
+  summarizeSamples,
+  deriveThresholds,
+} from '../utils/calibration';
+
+// Time to read the instruction and get into position before recording
+const GET_READY_MS = 2000;
+
+// Walks the student through CALIBRATION_STEPS. subscribeFeatures(fn) must
+// return an unsubscribe function; fn receives extractAttentionFeatures()
+// output (or null when no face is found) for every detection.
+// onComplete receives { thresholds, baseline, calibratedAt }.
+export default function CalibrationPanel({ subscribeFeatures, onComplete, onCancel }) {
+  const [stepIndex, setStepIndex] = useState(0);
+  const [phase, setPhase] = useState('intro');
+  const [sampleCount, setSampleCount] = useState(0);
+
+  const phaseRef = useRef('intro');
+  const samplesRef = useRef([]);
+  const baselineRef = useRef({});
+
+  useEffect(() => {
+    phaseRef.current = phase;
+  }, [phase]);
+
+  useEffect(() => {
+    return subscribeFeatures((features) => {
+      if (phaseRef.current !== 'recording' || !features) return;
+      samplesRef.current.push(features);
+      setSampleCount(samplesRef.current.length);
+    });
+  }, [subscribeFeatures]);
+
+  useEffect(() => {
+    if (phase === 'ready') {
+      const timer = setTimeout(() => {
+        samplesRef.current = [];
+        setSampleCount(0);
+        setPhase('recording');
+      }, GET_READY_MS);
+      return () => clearTimeout(timer);
+    }
+
+    if (phase === 'recording') {
+      const timer = setTimeout(() => {
+        const step = CALIBRATION_STEPS[stepIndex];
+        const summary = summarizeSamples(samplesRef.current);
+        if (!summary) {
+          console.warn('⚠️ Calibration step failed, not enough face detections:', step.id);
+          setPhase('failed');
+          return;
+        }
+
+        baselineRef.current[step.id] = summary;
+        console.log('🎯 Calibration step done:', step.id, summary);
+
+        if (stepIndex + 1 < CALIBRATION_STEPS.length) {
+          setStepIndex(stepIndex + 1);
+          setPhase('ready');
+        } else {
+          const baseline = baselineRef.current;
+          const thresholds = deriveThresholds(baseline);
+          console.log('✅ Calibration complete:', thresholds);
+          onComplete({ thresholds, baseline, calibratedAt: Date.now() });
+        }
+      }, CALIBRATION_STEP_MS);
+      return () => clearTimeout(timer);
+    }
+  }, [phase, stepIndex, onComplete]);
+
+  const step = CALIBRATION_STEPS[stepIndex];
+
+  const buttonStyle = (background, color = 'white') => ({
+    padding: '10px 20px',
+    backgroundColor: background,
+    color,
+    border: 'none',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '600',
+  });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(15, 23, 42, 0.6)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '20px',
+      // Below the camera preview so the student can see themselves
+      zIndex: 9000,
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        padding: '32px',
+        borderRadius: '16px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        maxWidth: '440px',
+        width: '100%',
+        textAlign: 'center',
+      }}>
+        <h2 style={{ fontSize: '22px', fontWeight: 'bold', color: '#1e293b', margin: '0 0 8px 0' }}>
+          🎯 Calibrate attention detection
+        </h2>
+
+        {phase === 'intro' && (
+          <>
+            <p style={{ color: '#64748b', fontSize: '14px', margin: '0 0 24px 0' }}>
+              Three quick steps of {CALIBRATION_STEP_MS / 1000} seconds each teach the detector
+              what your face looks like when you&apos;re paying attention, looking away and
+              closing your eyes. Nothing is recorded or sent - only the resulting thresholds
+              are kept on this device.
+            </p>
+            <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
+              <button onClick={() => setPhase('ready')} style={buttonStyle('#3b82f6')}>
+                Start
+              </button>
+              <button onClick={onCancel} style={buttonStyle('#f3f4f6', '#374151')}>
+                Skip
+              </button>
+            </div>
+          </>
+        )}
+
+        {(phase === 'ready' || phase === 'recording') && (
+          <>
+            <div style={{ fontSize: '12px', color: '#9ca3af', fontWeight: '600', marginBottom: '16px' }}>
+              STEP {stepIndex + 1} OF {CALIBRATION_STEPS.length}
+            </div>
+            <div style={{ fontSize: '20px', fontWeight: '700', color: '#111827', marginBottom: '8px' }}>
+              {step.title}
+            </div>
+            <p style={{ color: '#64748b', fontSize: '14px', margin: '0 0 20px 0' }}>
+              {step.instruction}
+            </p>
+            <div style={{
+              padding: '10px',
+              borderRadius: '8px',
+              backgroundColor: phase === 'recording' ? '#dcfce7' : '#fef3c7',
+              color: phase === 'recording' ? '#166534' : '#92400e',
+              fontSize: '13px',
+              fontWeight: '600',
+            }}>
+              {phase === 'recording'
+                ? `● Recording... ${sampleCount} samples`
+                : 'Get ready...'}
+            </div>
+          </>
+        )}
+
+        {phase === 'failed' && (
+          <>
+            <p style={{ color: '#dc2626', fontSize: '14px', margin: '0 0 24px 0' }}>
+              We couldn&apos;t see your face clearly during &quot;{step.title}&quot;. Make sure your face
+              is visible and well lit, then try this step again.
+            </p>
+            <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
+              <button onClick={() => setPhase('ready')} style={buttonStyle('#3b82f6')}>
+                Retry step
+              </button>
+              <button onClick={onCancel} style={buttonStyle('#f3f4f6', '#374151')}>
+                Cancel
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
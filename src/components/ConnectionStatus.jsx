@@ -0,0 +1,48 @@
+import { ConnectionState } from '../utils/websocket';
+
+const STATE_STYLES = {
+  [ConnectionState.OPEN]: { label: 'Connected', background: '#dcfce7', color: '#166534' },
+  [ConnectionState.CONNECTING]: { label: 'Connecting...', background: '#fef3c7', color: '#92400e' },
+  [ConnectionState.RECONNECTING]: { label: 'Reconnecting...', background: '#fee2e2', color: '#991b1b' },
+  [ConnectionState.OFFLINE]: { label: 'Offline - waiting for network', background: '#fee2e2', color: '#991b1b' },
+  [ConnectionState.FAILED]: { label: 'Connection lost', background: '#fee2e2', color: '#991b1b' },
+};
+
+const DEFAULT_STYLE = { label: 'Disconnected', background: '#f3f4f6', color: '#374151' };
+
+export default function ConnectionStatus({ state, onRetry }) {
+  const { label, background, color } = STATE_STYLES[state] || DEFAULT_STYLE;
+
+  return (
+    <div style={{
+      padding: '6px 14px',
+      backgroundColor: background,
+      borderRadius: '16px',
+      fontSize: '13px',
+      fontWeight: '500',
+      color,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+    }}>
+      ● {label}
+      {state === ConnectionState.FAILED && onRetry && (
+        <button
+          onClick={onRetry}
+          style={{
+            padding: '2px 8px',
+            backgroundColor: '#ef4444',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '11px',
+            fontWeight: '600',
+          }}
+        >
+          Retry
+        </button>
+      )}
+    </div>
+  );
+}
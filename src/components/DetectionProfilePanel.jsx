@@ -0,0 +1,110 @@
+import { DEFAULT_THRESHOLDS } from '../utils/calibration';
+import { DETECTION_PRESETS, DETECTION_SETTINGS } from '../utils/detectionProfile';
+
+// What each setting works out to for an uncalibrated student
+const DESCRIBE_SETTING = {
+  yaw: (scale) => `${Math.round(DEFAULT_THRESHOLDS.HEAD_YAW_EXTREME * scale)}°`,
+  pitch_down: (scale) => `${Math.round(DEFAULT_THRESHOLDS.HEAD_PITCH_DOWN * scale)}°`,
+  time: (scale) => `${(DEFAULT_THRESHOLDS.LOOKING_AWAY_MS * scale / 1000).toFixed(1)}s`,
+};
+
+// Teacher's room-wide detection profile: a preset for the activity, or
+// custom sliders. onChange receives { name, settings } on every change.
+export default function DetectionProfilePanel({ profile, onChange, onClose }) {
+  const selectPreset = (name) => {
+    onChange({ name, settings: DETECTION_PRESETS[name].settings });
+  };
+
+  const changeSetting = (key, value) => {
+    onChange({ name: 'custom', settings: { ...profile.settings, [key]: value } });
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      padding: '16px 20px',
+      borderRadius: '12px',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+      marginBottom: '20px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <div>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#111827', margin: 0 }}>
+            🎚️ Detection Profile
+          </h3>
+          <p style={{ fontSize: '12px', color: '#6b7280', margin: '4px 0 0 0' }}>
+            Applied live on every student&apos;s device, on top of their calibration
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          style={{
+            padding: '4px 10px',
+            backgroundColor: '#f3f4f6',
+            color: '#374151',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontSize: '13px',
+          }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+        {Object.entries(DETECTION_PRESETS).map(([name, { label, description }]) => (
+          <button
+            key={name}
+            onClick={() => selectPreset(name)}
+            title={description}
+            style={{
+              padding: '6px 14px',
+              backgroundColor: profile.name === name ? '#3b82f6' : '#f3f4f6',
+              color: profile.name === name ? 'white' : '#374151',
+              border: 'none',
+              borderRadius: '16px',
+              cursor: 'pointer',
+              fontSize: '13px',
+              fontWeight: '600',
+            }}
+          >
+            {label}
+          </button>
+        ))}
+        {profile.name === 'custom' && (
+          <span style={{
+            padding: '6px 14px',
+            backgroundColor: '#fef3c7',
+            color: '#92400e',
+            borderRadius: '16px',
+            fontSize: '13px',
+            fontWeight: '600',
+          }}>
+            Custom
+          </span>
+        )}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '16px' }}>
+        {Object.entries(DETECTION_SETTINGS).map(([key, { label, min, max }]) => (
+          <label key={key} style={{ display: 'block', fontSize: '13px', color: '#374151' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontWeight: '600' }}>
+              <span>{label}</span>
+              <span style={{ color: '#6b7280' }}>{DESCRIBE_SETTING[key](profile.settings[key])}</span>
+            </div>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={0.05}
+              value={profile.settings[key]}
+              onChange={(e) => changeSetting(key, Number(e.target.value))}
+              style={{ width: '100%' }}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
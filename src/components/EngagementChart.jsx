@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { segmentRanges, averageEngagement } from '../utils/engagement';
+import { formatTimeIST } from '../utils/detection';
+
+const WIDTH = 1000;
+const HEIGHT = 160;
+const SEGMENT_SHADES = ['rgba(59, 130, 246, 0.06)', 'rgba(139, 92, 246, 0.08)'];
+
+const MARKER_STYLES = {
+  chat: { icon: '💬', color: '#3b82f6' },
+  alert: { icon: '🚨', color: '#ef4444' },
+};
+
+// Split samples into runs without gaps (percent null = nobody in the room)
+const toRuns = (samples) => {
+  const runs = [];
+  let run = [];
+  samples.forEach((sample) => {
+    if (sample.percent === null) {
+      if (run.length) runs.push(run);
+      run = [];
+    } else {
+      run.push(sample);
+    }
+  });
+  if (run.length) runs.push(run);
+  return runs;
+};
+
+// Live % attentive for the whole session (samples from utils/engagement),
+// with lesson segments shaded behind it and chat/alert markers on top.
+// markers are { timestamp, type: 'chat' | 'alert', label }.
+// onStartSegment(label) starts a new segment now.
+export default function EngagementChart({ samples, segments, markers, start, end, onStartSegment }) {
+  const [segmentLabel, setSegmentLabel] = useState('');
+  const range = Math.max(end - start, 1);
+  const x = (timestamp) => ((timestamp - start) / range) * WIDTH;
+  const y = (percent) => HEIGHT - (percent / 100) * (HEIGHT - 10);
+  const percentX = (timestamp) => `${((timestamp - start) / range) * 100}%`;
+
+  const runs = toRuns(samples);
+  const ranges = segmentRanges(segments, end);
+  const latest = samples[samples.length - 1];
+
+  const startSegment = () => {
+    const label = segmentLabel.trim();
+    if (!label) return;
+    onStartSegment(label);
+    setSegmentLabel('');
+  };
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '12px',
+      padding: '20px',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+      marginBottom: '20px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', flexWrap: 'wrap', gap: '8px' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#111827', margin: 0 }}>
+          📈 Class Engagement
+          {latest?.percent !== null && latest?.percent !== undefined && (
+            <span style={{ marginLeft: '8px', fontSize: '13px', color: '#6b7280', fontWeight: '500' }}>
+              {latest.percent}% attentive now
+            </span>
+          )}
+        </h3>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <input
+            type="text"
+            value={segmentLabel}
+            onChange={(e) => setSegmentLabel(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && startSegment()}
+            placeholder="Segment name, e.g. Group work"
+            maxLength={40}
+            style={{
+              padding: '6px 10px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '6px',
+              fontSize: '13px',
+            }}
+          />
+          <button
+            onClick={startSegment}
+            disabled={!segmentLabel.trim()}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: segmentLabel.trim() ? '#3b82f6' : '#d1d5db',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: segmentLabel.trim() ? 'pointer' : 'not-allowed',
+              fontSize: '13px',
+              fontWeight: '600',
+            }}
+          >
+            ▶ Start segment
+          </button>
+        </div>
+      </div>
+
+      {samples.length === 0 ? (
+        <div style={{ height: `${HEIGHT}px`, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#9ca3af', fontSize: '13px' }}>
+          Engagement will appear here once students join
+        </div>
+      ) : (
+        <div style={{ position: 'relative', height: `${HEIGHT}px`, margin: '20px 0 0 28px' }}>
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            preserveAspectRatio="none"
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+          >
+            {ranges.map((segment, i) => (
+              <rect
+                key={`${segment.start}-${i}`}
+                x={x(segment.start)}
+                y={0}
+                width={Math.max(x(segment.end) - x(segment.start), 0)}
+                height={HEIGHT}
+                fill={SEGMENT_SHADES[i % SEGMENT_SHADES.length]}
+              />
+            ))}
+            {[50, 100].map(percent => (
+              <line
+                key={percent}
+                x1={0}
+                x2={WIDTH}
+                y1={y(percent)}
+                y2={y(percent)}
+                stroke="#e5e7eb"
+                strokeDasharray="4 4"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {runs.map((run) => {
+              const points = run.map(sample => `${x(sample.timestamp)},${y(sample.percent)}`).join(' L ');
+              const first = x(run[0].timestamp);
+              const last = x(run[run.length - 1].timestamp);
+              return (
+                <g key={run[0].timestamp}>
+                  <path d={`M ${first},${HEIGHT} L ${points} L ${last},${HEIGHT} Z`} fill="rgba(34, 197, 94, 0.15)" />
+                  <path d={`M ${points}`} fill="none" stroke="#22c55e" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+                </g>
+              );
+            })}
+            {markers.map((marker, i) => (
+              <line
+                key={`${marker.type}-${marker.timestamp}-${i}`}
+                x1={x(marker.timestamp)}
+                x2={x(marker.timestamp)}
+                y1={0}
+                y2={HEIGHT}
+                stroke={MARKER_STYLES[marker.type].color}
+                strokeOpacity={0.4}
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+          </svg>
+
+          {/* Labels and markers as HTML so they don't stretch with the chart */}
+          {ranges.map((segment, i) => {
+            const average = averageEngagement(samples, segment.start, segment.end);
+            return (
+              <div
+                key={`${segment.start}-${i}`}
+                title={`${segment.label}: ${formatTimeIST(segment.start)} – ${formatTimeIST(segment.end)}`}
+                style={{
+                  position: 'absolute',
+                  top: '2px',
+                  left: percentX(segment.start),
+                  paddingLeft: '4px',
+                  fontSize: '11px',
+                  fontWeight: '600',
+                  color: '#4b5563',
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                {segment.label}{average !== null && ` · ${average}%`}
+              </div>
+            );
+          })}
+          {markers.map((marker, i) => (
+            <span
+              key={`${marker.type}-${marker.timestamp}-${i}`}
+              title={`${formatTimeIST(marker.timestamp, { seconds: true })} · ${marker.label}`}
+              style={{
+                position: 'absolute',
+                top: '-18px',
+                left: percentX(marker.timestamp),
+                transform: 'translateX(-50%)',
+                fontSize: '11px',
+                cursor: 'default',
+              }}
+            >
+              {MARKER_STYLES[marker.type].icon}
+            </span>
+          ))}
+          {[0, 50, 100].map(percent => (
+            <span
+              key={percent}
+              style={{
+                position: 'absolute',
+                right: '100%',
+                top: `${(y(percent) / HEIGHT) * 100}%`,
+                transform: 'translateY(-50%)',
+                paddingRight: '4px',
+                fontSize: '10px',
+                color: '#9ca3af',
+              }}
+            >
+              {percent}%
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#9ca3af', margin: '4px 0 0 28px' }}>
+        <span>{samples.length > 0 && formatTimeIST(start)}</span>
+        <span>{samples.length > 0 && formatTimeIST(end)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { reportToCSV, reportToHTML, reportToJSON } from '../utils/report';
+import { downloadFile } from '../utils/download';
+import { formatDuration } from '../utils/detection';
+
+const buttonStyle = (color) => ({
+  padding: '10px 16px',
+  backgroundColor: color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '13px',
+  fontWeight: '600',
+});
+
+// Export dialog for a buildSessionReport() report. With onLeave set (the
+// class has just ended) the dialog is the last stop before leaving, so it
+// offers that instead of a plain close.
+export default function SessionReport({ report, onClose, onLeave }) {
+  const filename = `session-${report.room_id || 'report'}-${report.ended_at.slice(0, 10)}`;
+
+  const printReport = () => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert('Allow pop-ups for this site to print the report');
+      return;
+    }
+    win.document.write(reportToHTML(report));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100,
+    }}>
+      <div style={{
+        width: 'min(480px, calc(100vw - 40px))',
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        boxShadow: '0 10px 30px rgba(0, 0, 0, 0.2)',
+        padding: '24px',
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 4px 0' }}>
+          📄 Session Report
+        </h3>
+        <p style={{ fontSize: '13px', color: '#6b7280', margin: '0 0 20px 0' }}>
+          {onLeave ? 'Class ended. ' : ''}
+          {report.students.length} students · {formatDuration(report.duration_ms)}
+          {report.engagement.average_percent !== null && ` · ${report.engagement.average_percent}% attentive on average`}
+          <br />
+          Generated on this device; nothing is uploaded.
+        </p>
+
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          <button
+            onClick={() => downloadFile(reportToCSV(report), `${filename}.csv`, 'text/csv')}
+            style={buttonStyle('#22c55e')}
+          >
+            ⬇️ CSV
+          </button>
+          <button
+            onClick={() => downloadFile(reportToJSON(report), `${filename}.json`, 'application/json')}
+            style={buttonStyle('#3b82f6')}
+          >
+            ⬇️ JSON
+          </button>
+          <button onClick={printReport} style={buttonStyle('#8b5cf6')}>
+            🖨️ Print / PDF
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+          <button
+            onClick={onLeave || onClose}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: onLeave ? '#ef4444' : '#f3f4f6',
+              color: onLeave ? 'white' : '#374151',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              fontSize: '13px',
+              fontWeight: '600',
+            }}
+          >
+            {onLeave ? 'Leave' : 'Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,42 +1,166 @@
 import { useEffect, useRef, useState } from 'react';
-import { initializeMediaPipe, extractAttentionFeatures } from '../utils/mediapipe';
-
-export default function StudentCamera({ onStatusChange, onFrameCapture }) {
+import { initializeMediaPipe, extractAttentionFeatures, getPrimaryFace } from '../utils/mediapipe';
+import { supportsDetectionWorker, startDetectionWorker } from '../utils/detectionWorker';
+import { initializeBlazeFace, extractBlazeFaceFeatures, getPrimaryBlazeFace } from '../utils/blazeface';
+import { canvasToBlob } from '../utils/frames';
+import { RedactionMode, renderRedactedFrame } from '../utils/redaction';
+import { drawDetectionOverlay } from '../utils/overlay';
+import { AdaptiveThrottle, DEFAULT_CPU_BUDGET } from '../utils/cpuBudget';
+import { TelemetryAggregator, TELEMETRY_INTERVAL_MS } from '../utils/telemetry';
+import { DEFAULT_THRESHOLDS } from '../utils/calibration';
+import { DEFAULT_ATTENTION_ENGINE, createAttentionEngine } from '../utils/attentionEngine';
+import { getDetectorInfo } from '../utils/detection';
+
+// Landmark overlay on top of the mirrored <video> preview
+const OVERLAY_STYLE = {
+  width: '100%',
+  height: '100%',
+  objectFit: 'cover',
+  display: 'block',
+};
+// Used when the parent doesn't supply getFramePolicy
+const DEFAULT_FRAME_POLICY = { width: null, quality: 0.7, interval: 2000 };
+// How soon to check again after the policy skipped a frame (backpressure)
+const SKIPPED_FRAME_RETRY_MS = 1000;
+
+// onFrameCapture receives a JPEG Blob when binaryFrames is set and the
+// browser can encode one, otherwise a base64 data URL string.
+// getFramePolicy() is asked before every capture for { width, quality,
+// interval }; returning null skips that frame. redactionMode blurs or
+// pixelates the outgoing frame only; the local preview stays clear.
+// thresholds are the student's calibrated ones (see utils/calibration);
+// onFeatures receives the raw features of every detection, or null.
+// onDetection receives (faces, frame, timestamp, detector) for every
+// detection, e.g. for LandmarkRecorder (utils/replay).
+// onTelemetry receives an averaged attention_telemetry payload (see
+// utils/telemetry) every TELEMETRY_INTERVAL_MS while detection runs.
+// engine names a registered attention engine (see utils/attentionEngine).
+// identityMonitor (utils/identity) only runs while identityCheck is on: it
+// captures the student's face each time the check is turned on, then extra
+// faces or a different face override the status
+// (BlazeFace can only count faces, so there it checks extra faces alone).
+// Detection uses Face Mesh, falls back to BlazeFace (presence and head turn
+// only) if it can't load, and every update says which detector produced it.
+// It runs in a worker where the browser allows (utils/detectionWorker), and
+// cpuBudget (utils/cpuBudget) caps the share of CPU it may use.
+export default function StudentCamera({
+  onStatusChange,
+  onFrameCapture,
+  binaryFrames = false,
+  getFramePolicy,
+  redactionMode = RedactionMode.NONE,
+  thresholds = DEFAULT_THRESHOLDS,
+  onFeatures,
+  onDetection,
+  onTelemetry,
+  engine = DEFAULT_ATTENTION_ENGINE,
+  identityMonitor = null,
+  identityCheck = false,
+  cpuBudget = DEFAULT_CPU_BUDGET,
+}) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const overlayHostRef = useRef(null);
   const [status, setStatus] = useState('attentive');
   const [isActive, setIsActive] = useState(false);
   const [detectionCount, setDetectionCount] = useState(0);
+  const [detectionFps, setDetectionFps] = useState(0);
+  const [detector, setDetector] = useState(null);
+  const [detectorError, setDetectorError] = useState(null);
+  const [throttle] = useState(() => new AdaptiveThrottle(cpuBudget));
+  const [telemetry] = useState(() => new TelemetryAggregator());
   
   const statusRef = useRef('attentive');
-  const frameIntervalRef = useRef(null);
+  const fatiguedRef = useRef(false);
+  const frameTimerRef = useRef(null);
+  const captureCanvasRef = useRef(null);
+  const getFramePolicyRef = useRef(getFramePolicy);
+  const redactionModeRef = useRef(redactionMode);
+  const lastLandmarksRef = useRef(null);
+  const thresholdsRef = useRef(thresholds);
+  const onFeaturesRef = useRef(onFeatures);
+  const onDetectionRef = useRef(onDetection);
+  const onTelemetryRef = useRef(onTelemetry);
+  const engineRef = useRef(null);
+  const identityMonitorRef = useRef(identityMonitor);
+  const identityCheckRef = useRef(identityCheck);
   const mediaPipeRef = useRef(null);
-  const eyeClosedFrames = useRef(0);
-  const lookingAwayFrames = useRef(0);
-  const attentiveFrames = useRef(0);
-
-  // FINAL OPTIMIZED THRESHOLDS - Lowered for better detection
-  const THRESHOLDS = {
-    // Eye Detection (for drowsiness)
-    EYE_CLOSED: 0.10,        // Eyes must be REALLY closed
-    EYE_OPEN: 0.18,          // Clear threshold for open eyes
-    DROWSY_FRAMES: 12,       // 4 seconds of closed eyes = drowsy
-    
-    // Head Pose Detection (for looking away) - LOWERED THRESHOLDS
-    HEAD_YAW_EXTREME: 25,    // Profile view = looking away (was 50, now 25)
-    HEAD_YAW_MODERATE: 15,   // Moderate turn (was 30, now 15)
-    HEAD_PITCH_DOWN: 20,     // Looking down threshold
-    HEAD_PITCH_UP: 20,       // Looking up threshold
-    
-    // Frame consistency
-    LOOKING_AWAY_FRAMES: 6,  // 2 seconds of head turn = looking away (was 9, now 6)
-    ATTENTIVE_FRAMES: 6,     // 2 seconds of good posture = attentive
-  };
+  const blazeFaceRef = useRef(null);
+  const workerRef = useRef(null);
+  const detectorRef = useRef(null);
+  const reportedDetectorRef = useRef(null);
+  const retryDetectionRef = useRef(null);
+
+  useEffect(() => {
+    console.log('🧮 Attention engine:', engine);
+    engineRef.current = createAttentionEngine(engine, thresholdsRef.current);
+  }, [engine]);
+
+  useEffect(() => {
+    thresholdsRef.current = thresholds;
+    engineRef.current?.setThresholds(thresholds);
+  }, [thresholds]);
+
+  useEffect(() => {
+    onFeaturesRef.current = onFeatures;
+  }, [onFeatures]);
+
+  useEffect(() => {
+    onDetectionRef.current = onDetection;
+  }, [onDetection]);
+
+  useEffect(() => {
+    onTelemetryRef.current = onTelemetry;
+  }, [onTelemetry]);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const summary = telemetry.flush();
+      if (summary) onTelemetryRef.current?.(summary);
+    }, TELEMETRY_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [telemetry]);
+
+  useEffect(() => {
+    identityMonitorRef.current = identityMonitor;
+  }, [identityMonitor]);
+
+  useEffect(() => {
+    identityCheckRef.current = identityCheck;
+    // Take a fresh reference from whoever is at the desk now
+    if (identityCheck) identityMonitorRef.current?.reset();
+    // Face Mesh only reports a second face if asked to look for one
+    mediaPipeRef.current?.faceMesh.setOptions({ maxNumFaces: identityCheck ? 2 : 1 });
+    workerRef.current?.setMaxNumFaces(identityCheck ? 2 : 1);
+  }, [identityCheck]);
+
+  useEffect(() => {
+    throttle.setBudget(cpuBudget);
+  }, [throttle, cpuBudget]);
+
+  useEffect(() => {
+    getFramePolicyRef.current = getFramePolicy;
+  }, [getFramePolicy]);
+
+  useEffect(() => {
+    redactionModeRef.current = redactionMode;
+  }, [redactionMode]);
 
   useEffect(() => {
     let mounted = true;
     let stream = null;
 
+    // A fresh overlay canvas per run: a worker takes its canvas over for
+    // good, so one can't be reused after a restart or a failed worker
+    const createOverlay = () => {
+      canvasRef.current?.remove();
+      const canvas = document.createElement('canvas');
+      Object.assign(canvas.style, OVERLAY_STYLE);
+      overlayHostRef.current?.appendChild(canvas);
+      canvasRef.current = canvas;
+    };
+    createOverlay();
+
     const initializeCamera = async () => {
       try {
         console.log('🎥 Starting FINAL OPTIMIZED detection...');
@@ -63,7 +187,7 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
               console.log('✅ Camera started - FINAL DETECTION ACTIVE');
               setIsActive(true);
               
-              await initializeMediaPipeDetection();
+              await initializeDetection();
               startFrameCapture();
               
             } catch (err) {
@@ -78,204 +202,309 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
       }
     };
 
-    const initializeMediaPipeDetection = async () => {
-      try {
-        console.log('🧠 Initializing MediaPipe (FINAL MODE)...');
-        
-        const { faceMesh, camera } = await initializeMediaPipe(
-          videoRef.current,
-          onMediaPipeResults
-        );
-        
-        mediaPipeRef.current = { faceMesh, camera };
-        console.log('✅ FINAL detection calibrated and ready');
-        
-      } catch (error) {
-        console.error('❌ MediaPipe initialization failed:', error);
-        console.warn('⚠️ Falling back to no detection mode');
+    const initializeWorkerDetection = async () => {
+      console.log('🧵 Starting detection worker...');
+
+      const handle = await startDetectionWorker(videoRef.current, canvasRef.current, {
+        onResult: onWorkerResults,
+        onError: onWorkerError,
+        throttle,
+        maxNumFaces: identityCheckRef.current ? 2 : 1,
+      });
+      if (!mounted) {
+        handle.stop();
+        return;
       }
+      workerRef.current = handle;
+      applyDetector(handle.detector, handle.errors);
     };
 
-    const onMediaPipeResults = (results) => {
-      if (!mounted) return;
+    const initializeMediaPipeDetection = async () => {
+      console.log('🧠 Initializing MediaPipe (FINAL MODE)...');
       
-      drawDetection(results);
-      const features = extractAttentionFeatures(results);
+      const { faceMesh, camera } = await initializeMediaPipe(
+        videoRef.current,
+        onMediaPipeResults,
+        { maxNumFaces: identityCheckRef.current ? 2 : 1, throttle }
+      );
       
-      if (!features) {
-        updateStatus('no_face', 0);
+      if (!mounted) {
+        camera.stop();
         return;
       }
+      mediaPipeRef.current = { faceMesh, camera };
+      console.log('✅ FINAL detection calibrated and ready');
+    };
+
+    const initializeBlazeFaceDetection = async () => {
+      console.log('🧠 Initializing BlazeFace fallback...');
 
-      const detectionResult = analyzeAttention(features);
-      updateStatus(detectionResult.status, detectionResult.confidence);
-      setDetectionCount(prev => prev + 1);
+      const handle = await initializeBlazeFace(videoRef.current, onBlazeFaceResults, throttle);
+      if (!mounted) {
+        handle.stop();
+        return;
+      }
+      blazeFaceRef.current = handle;
     };
 
-    const analyzeAttention = (features) => {
-      const { eye_aspect_ratio, head_pose } = features;
-      
-      console.log('📊 Detection:', {
-        EAR: eye_aspect_ratio.toFixed(3),
-        Yaw: head_pose.yaw + '°',
-        Pitch: head_pose.pitch + '°',
-        Current: statusRef.current
-      });
+    // With no detector, the preview and frame sharing keep going and the
+    // teacher is told nothing is being tracked
+    const applyDetector = (name, errors = []) => {
+      detectorRef.current = name;
+      setDetector(name);
+      if (name === 'none') {
+        console.warn('⚠️ No face detector available, attention is not being tracked');
+        setDetectorError(errors.join(' · '));
+        updateStatus('no_face', 0, null, ['Attention detection unavailable on this device']);
+      } else {
+        setDetectorError(null);
+      }
+    };
 
-      // PRIORITY 1: Check for DROWSINESS
-      if (eye_aspect_ratio < THRESHOLDS.EYE_CLOSED) {
-        eyeClosedFrames.current++;
-        
-        if (eyeClosedFrames.current >= THRESHOLDS.DROWSY_FRAMES) {
-          console.log('😴 DROWSY - Eyes closed for', (eyeClosedFrames.current / 3).toFixed(1), 'sec');
-          lookingAwayFrames.current = 0;
-          attentiveFrames.current = 0;
-          return { status: 'drowsy', confidence: 0.95 };
-        } else {
-          console.log('⏳ Eyes closing...', eyeClosedFrames.current, '/', THRESHOLDS.DROWSY_FRAMES);
-          return { status: statusRef.current, confidence: 0.7 };
+    // In a worker if possible, otherwise on the main thread. Either way Face
+    // Mesh first, then BlazeFace.
+    const initializeDetection = async () => {
+      if (supportsDetectionWorker()) {
+        try {
+          await initializeWorkerDetection();
+          return;
+        } catch (error) {
+          console.error('❌ Detection worker failed, detecting on the main thread:', error);
+          createOverlay();
         }
-      } else if (eye_aspect_ratio > THRESHOLDS.EYE_OPEN) {
-        eyeClosedFrames.current = 0;
       }
+      await initializeMainThreadDetection();
+    };
 
-      // PRIORITY 2: Check for LOOKING AWAY - LOWERED THRESHOLDS
-      const absYaw = Math.abs(head_pose.yaw);
-      const absPitch = Math.abs(head_pose.pitch);
-      
-      // More sensitive detection with lower thresholds
-      const isProfileView = absYaw > THRESHOLDS.HEAD_YAW_EXTREME;  // 25° instead of 50°
-      const isModeratelyTurned = absYaw > THRESHOLDS.HEAD_YAW_MODERATE;  // 15° instead of 30°
-      const isLookingUpOrDown = absPitch > THRESHOLDS.HEAD_PITCH_DOWN;
-      
-      const isLookingAway = isProfileView || (isModeratelyTurned && isLookingUpOrDown);
-
-      if (isLookingAway) {
-        lookingAwayFrames.current++;
-        attentiveFrames.current = 0;
-        
-        if (lookingAwayFrames.current >= THRESHOLDS.LOOKING_AWAY_FRAMES) {
-          console.log('👀 LOOKING AWAY - Yaw:', head_pose.yaw + '° Pitch:', head_pose.pitch + '° (' + (lookingAwayFrames.current / 3).toFixed(1) + 's)');
-          eyeClosedFrames.current = 0;
-          return { status: 'looking_away', confidence: 0.90 };
-        } else {
-          console.log('⏳ Head turning...', lookingAwayFrames.current, '/', THRESHOLDS.LOOKING_AWAY_FRAMES);
-          return { status: statusRef.current, confidence: 0.75 };
+    const initializeMainThreadDetection = async () => {
+      const attempts = [
+        ['face_mesh', initializeMediaPipeDetection],
+        ['blazeface', initializeBlazeFaceDetection],
+      ];
+      const errors = [];
+
+      for (const [name, initialize] of attempts) {
+        detectorRef.current = name;
+        try {
+          await initialize();
+          if (mounted) applyDetector(name);
+          return;
+        } catch (error) {
+          console.error(`❌ ${getDetectorInfo(name).label} failed to start:`, error);
+          errors.push(error.message || `${name} failed to load`);
         }
+      }
+
+      if (mounted) applyDetector('none', errors);
+    };
+
+    retryDetectionRef.current = async () => {
+      setDetectorError(null);
+      setDetector(null);
+      if (workerRef.current) {
+        const { detector: name, errors } = await workerRef.current.restart();
+        if (mounted) applyDetector(name, errors);
       } else {
-        lookingAwayFrames.current = 0;
+        initializeDetection();
       }
+    };
 
-      // PRIORITY 3: ATTENTIVE
-      if (eyeClosedFrames.current === 0 && lookingAwayFrames.current === 0) {
-        attentiveFrames.current++;
-        
-        if (attentiveFrames.current >= THRESHOLDS.ATTENTIVE_FRAMES) {
-          if (statusRef.current !== 'attentive') {
-            console.log('✅ ATTENTIVE - Face forward, eyes open for', (attentiveFrames.current / 3).toFixed(1), 's');
-          }
-          return { status: 'attentive', confidence: 0.95 };
-        } else {
-          console.log('⏳ Returning to attentive...', attentiveFrames.current, '/', THRESHOLDS.ATTENTIVE_FRAMES);
-          return { status: statusRef.current, confidence: 0.80 };
-        }
+    const onMediaPipeResults = (results) => {
+      if (!mounted) return;
+      
+      const faces = results.multiFaceLandmarks?.length ? results.multiFaceLandmarks : null;
+      drawDetection(results);
+      analyzeDetection(faces, extractAttentionFeatures(results), {
+        width: results.image?.width || 640,
+        height: results.image?.height || 480
+      });
+    };
+
+    // The worker has already drawn the overlay and extracted the features.
+    // Frames it couldn't analyze never get here, so they aren't read as no_face.
+    const onWorkerResults = ({ faces, faceCount, features, frame }) => {
+      if (!mounted) return;
+      analyzeDetection(faces, features, frame || { width: 640, height: 480 }, faceCount);
+    };
+
+    // The worker crashed mid-session; carry on on the main thread (it took
+    // the overlay canvas with it, so make a new one)
+    const onWorkerError = (error) => {
+      if (!mounted || !workerRef.current) return;
+      console.error('❌ Detection worker stopped, detecting on the main thread:', error);
+      workerRef.current.stop();
+      workerRef.current = null;
+      setDetector(null);
+      createOverlay();
+      initializeMainThreadDetection();
+    };
+
+    // faces are Face Mesh landmarks for every face in view (null with
+    // BlazeFace); features are the primary face's, or null with no face.
+    // faceCount also covers BlazeFace, which finds faces but has no mesh.
+    const analyzeDetection = (faces, features, frame, faceCount = faces?.length || 0) => {
+      lastLandmarksRef.current = faces;
+      onFeaturesRef.current?.(features);
+      onDetectionRef.current?.(faces, frame, features?.timestamp ?? Date.now(), detectorRef.current);
+
+      if (features) {
+        console.log('📊 Detection:', {
+          EAR: features.eye_aspect_ratio?.toFixed(3) ?? 'n/a',
+          Yaw: features.head_pose.yaw + '°',
+          Pitch: features.head_pose.pitch + '°',
+          Current: statusRef.current
+        });
+      }
+
+      let result = engineRef.current.analyze(features);
+
+      // Without a mesh only extra faces can be checked, not who they are
+      const timestamp = features?.timestamp ?? Date.now();
+      const monitor = identityCheckRef.current ? identityMonitorRef.current : null;
+      const identity = detectorRef.current === 'blazeface'
+        ? monitor?.updateFaceCount(faceCount, timestamp)
+        : monitor?.update(faces, features?.head_pose, timestamp, frame);
+      if (identity) {
+        result = { ...result, status: identity.status, confidence: 0.9, reasons: identity.reasons, rule: identity.status };
       }
 
-      return { status: statusRef.current, confidence: 0.70 };
+      reportResult(result, features);
+    };
+
+    const onBlazeFaceResults = (faces) => {
+      if (!mounted) return;
+
+      // No mesh to redact around; redaction then covers the whole frame
+      drawDetection(null, getPrimaryBlazeFace(faces));
+      analyzeDetection(null, extractBlazeFaceFeatures(faces), null, faces?.length || 0);
     };
 
-    const updateStatus = (newStatus, confidence) => {
-      if (newStatus !== statusRef.current) {
+    const reportResult = (result, features) => {
+      telemetry.add(features, result, detectorRef.current);
+      updateStatus(result.status, result.confidence, features, result.reasons, result.fatigue);
+      if (features) {
+        setDetectionCount(prev => prev + 1);
+        setDetectionFps(Math.round(engineRef.current.fps || 0));
+      }
+    };
+
+    // Report status changes, fatigue turning on or off, and a change of
+    // detector to the parent
+    const updateStatus = (newStatus, confidence, features = null, reasons = [], fatigue = null) => {
+      const fatigued = Boolean(fatigue?.fatigued);
+      const statusChanged = newStatus !== statusRef.current;
+      const detectorChanged = detectorRef.current !== reportedDetectorRef.current;
+      if (!statusChanged && fatigued === fatiguedRef.current && !detectorChanged) return;
+
+      if (statusChanged) {
         console.log('╔════════════════════════════════════════╗');
         console.log('║  STATUS CHANGE: ' + statusRef.current + ' → ' + newStatus);
         console.log('║  Confidence: ' + (confidence * 100).toFixed(0) + '%');
+        console.log('║  Why: ' + reasons.join('; '));
         console.log('╚════════════════════════════════════════╝');
-        
-        statusRef.current = newStatus;
-        setStatus(newStatus);
-        
-        if (newStatus === 'attentive') {
-          eyeClosedFrames.current = 0;
-          lookingAwayFrames.current = 0;
-        } else if (newStatus === 'drowsy') {
-          lookingAwayFrames.current = 0;
-          attentiveFrames.current = 0;
-        } else if (newStatus === 'looking_away') {
-          eyeClosedFrames.current = 0;
-          attentiveFrames.current = 0;
+      } else if (fatigued !== fatiguedRef.current) {
+        console.log(fatigued ? '🥱 Fatigue detected:' : '🙂 Fatigue cleared:', fatigue);
+      } else {
+        console.log('🔍 Detector:', detectorRef.current);
+      }
+      
+      statusRef.current = newStatus;
+      fatiguedRef.current = fatigued;
+      reportedDetectorRef.current = detectorRef.current;
+      setStatus(newStatus);
+      
+      if (onStatusChange) {
+        const update = {
+          status: newStatus,
+          confidence: confidence,
+          timestamp: Date.now(),
+          reasons,
+          fatigued,
+          detector: detectorRef.current,
+        };
+        // Derived signals only - these are all that leave the browser in privacy mode
+        if (features) {
+          update.eye_aspect_ratio = features.eye_aspect_ratio;
+          update.mouth_aspect_ratio = features.mouth_aspect_ratio;
+          update.head_pose = features.head_pose;
+          if (features.gaze_direction) {
+            update.gaze = features.gaze_direction;
+          }
         }
-        
-        if (onStatusChange) {
-          onStatusChange({
-            status: newStatus,
-            confidence: confidence,
-            timestamp: Date.now()
-          });
-          console.log('📤 Sent to backend:', newStatus);
+        if (fatigue) {
+          update.fatigue = fatigue;
         }
+        onStatusChange(update);
+        console.log('📤 Sent to backend:', newStatus);
       }
     };
 
-    const drawDetection = (results) => {
-      if (!canvasRef.current || !videoRef.current) return;
-      
+    // Main-thread overlay drawing. results is a Face Mesh result; blazeFace
+    // a BlazeFace face, whose box is drawn instead when running the fallback
+    const drawDetection = (results, blazeFace = null) => {
       const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
       const video = videoRef.current;
+      if (!canvas || !video) return;
 
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+      }
+      drawDetectionOverlay(canvas.getContext('2d'), { landmarks: getPrimaryFace(results), blazeFace });
+    };
 
-      ctx.save();
-      ctx.scale(-1, 1);
-      ctx.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
-      ctx.restore();
+    const startFrameCapture = () => {
+      const scheduleNext = (delay) => {
+        frameTimerRef.current = setTimeout(async () => {
+          const policy = getFramePolicyRef.current
+            ? getFramePolicyRef.current()
+            : DEFAULT_FRAME_POLICY;
+
+          if (policy) {
+            await captureFrame(policy);
+          }
+          if (mounted) {
+            scheduleNext(policy ? policy.interval : SKIPPED_FRAME_RETRY_MS);
+          }
+        }, delay);
+      };
 
-      if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-        const landmarks = results.multiFaceLandmarks[0];
-        
-        ctx.fillStyle = '#00FF00';
-        const keyPoints = [1, 33, 133, 362, 263, 152];
+      scheduleNext(DEFAULT_FRAME_POLICY.interval);
+    };
 
-        keyPoints.forEach(idx => {
-          const point = landmarks[idx];
-          const x = canvas.width - (point.x * canvas.width);
-          const y = point.y * canvas.height;
-          
-          ctx.beginPath();
-          ctx.arc(x, y, 4, 0, 2 * Math.PI);
-          ctx.fill();
-        });
+    // Render the mirrored video at the policy width for encoding. The
+    // landmark overlay lives on its own canvas (possibly owned by the
+    // worker), so it never leaves the device.
+    const getCaptureSource = (policy) => {
+      const video = videoRef.current;
 
-        ctx.strokeStyle = '#00FF0088';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        const faceOval = [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109];
-        faceOval.forEach((idx, i) => {
-          const point = landmarks[idx];
-          const x = canvas.width - (point.x * canvas.width);
-          const y = point.y * canvas.height;
-          if (i === 0) ctx.moveTo(x, y);
-          else ctx.lineTo(x, y);
-        });
-        ctx.closePath();
-        ctx.stroke();
+      if (!captureCanvasRef.current) {
+        captureCanvasRef.current = document.createElement('canvas');
       }
-    };
+      const target = captureCanvasRef.current;
+      const width = policy.width ? Math.min(policy.width, video.videoWidth) : video.videoWidth;
+      target.width = width;
+      target.height = Math.round(video.videoHeight * (width / video.videoWidth));
 
-    const startFrameCapture = () => {
-      frameIntervalRef.current = setInterval(() => {
-        captureFrame();
-      }, 2000);
+      renderRedactedFrame(target, video, lastLandmarksRef.current, redactionModeRef.current);
+      return target;
     };
 
-    const captureFrame = () => {
-      if (!canvasRef.current) return;
+    const captureFrame = async (policy) => {
+      if (!videoRef.current?.videoWidth) return;
       
       try {
-        const frameData = canvasRef.current.toDataURL('image/jpeg', 0.7);
+        const source = getCaptureSource(policy);
+
+        if (binaryFrames) {
+          const blob = await canvasToBlob(source, 'image/jpeg', policy.quality);
+          if (blob && mounted && onFrameCapture) {
+            onFrameCapture(blob);
+            return;
+          }
+        }
+
+        const frameData = source.toDataURL('image/jpeg', policy.quality);
         if (onFrameCapture && frameData) {
           onFrameCapture(frameData);
         }
@@ -290,9 +519,19 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
       mounted = false;
       console.log('🛑 Stopping detection');
       
-      if (frameIntervalRef.current) {
-        clearInterval(frameIntervalRef.current);
+      if (frameTimerRef.current) {
+        clearTimeout(frameTimerRef.current);
+      }
+      if (workerRef.current) {
+        workerRef.current.stop();
+        workerRef.current = null;
+      }
+      
+      if (blazeFaceRef.current) {
+        blazeFaceRef.current.stop();
+        blazeFaceRef.current = null;
       }
+      canvasRef.current?.remove();
       
       if (mediaPipeRef.current && mediaPipeRef.current.camera) {
         mediaPipeRef.current.camera.stop();
@@ -302,12 +541,16 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
         stream.getTracks().forEach(track => track.stop());
       }
     };
-  }, [onStatusChange, onFrameCapture]);
+  }, [onStatusChange, onFrameCapture, binaryFrames, throttle, telemetry]);
 
   const getStatusColor = () => {
+    if (detector === 'none') return '#6b7280';
     switch (status) {
       case 'attentive': return '#22c55e';
       case 'looking_away': return '#f59e0b';
+      case 'distracted': return '#eab308';
+      case 'multiple_faces': return '#a855f7';
+      case 'different_person': return '#be123c';
       case 'drowsy': return '#ef4444';
       case 'no_face': return '#6b7280';
       default: return '#6b7280';
@@ -315,9 +558,13 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
   };
 
   const getStatusText = () => {
+    if (detector === 'none') return '⚠️ DETECTION UNAVAILABLE';
     switch (status) {
       case 'attentive': return '✓ ATTENTIVE';
       case 'looking_away': return '👀 LOOKING AWAY';
+      case 'distracted': return '📱 DISTRACTED';
+      case 'multiple_faces': return '👥 MULTIPLE PEOPLE';
+      case 'different_person': return '🪪 DIFFERENT PERSON';
       case 'drowsy': return '😴 DROWSY';
       case 'no_face': return '❌ NO FACE';
       default: return 'DETECTING...';
@@ -328,19 +575,21 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
     <div style={{ position: 'relative', width: '100%', height: '100%' }}>
       <video
         ref={videoRef}
-        style={{ display: 'none' }}
-        playsInline
-        autoPlay
-        muted
-      />
-      <canvas
-        ref={canvasRef}
         style={{
           width: '100%',
           height: '100%',
           objectFit: 'cover',
           backgroundColor: '#000',
+          transform: 'scaleX(-1)',
+          display: 'block',
         }}
+        playsInline
+        autoPlay
+        muted
+      />
+      <div
+        ref={overlayHostRef}
+        style={{ position: 'absolute', top: 0, left: 0, right: 0, bottom: 0, pointerEvents: 'none' }}
       />
       
       <div style={{
@@ -371,9 +620,51 @@ export default function StudentCamera({ onStatusChange, onFrameCapture }) {
         fontFamily: 'monospace',
         fontWeight: 'bold',
       }}>
-        Detections: {detectionCount} | {isActive ? '🚀 FINAL' : '⏳ Loading...'}
+        Detections: {detectionCount} | {isActive ? `🚀 ${detectionFps} fps` : '⏳ Loading...'}
+        {detector && detector !== 'face_mesh' && (
+          <span title={getDetectorInfo(detector).description}> | {getDetectorInfo(detector).label}</span>
+        )}
       </div>
 
+      {detector === 'none' && (
+        <div style={{
+          position: 'absolute',
+          top: '44px',
+          left: '8px',
+          right: '8px',
+          padding: '12px',
+          backgroundColor: 'rgba(127, 29, 29, 0.92)',
+          color: '#fff',
+          borderRadius: '8px',
+          fontSize: '13px',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '8px',
+        }}>
+          <div style={{ fontWeight: '700' }}>⚠️ Attention detection couldn&apos;t start</div>
+          {detectorError && <div style={{ fontSize: '12px', opacity: 0.9 }}>{detectorError}</div>}
+          <div style={{ fontSize: '12px', opacity: 0.9 }}>
+            Your camera is still shared, but your teacher won&apos;t see attention updates until the model loads.
+          </div>
+          <button
+            onClick={() => retryDetectionRef.current?.()}
+            style={{
+              alignSelf: 'flex-start',
+              padding: '6px 14px',
+              backgroundColor: '#fff',
+              color: '#7f1d1d',
+              border: 'none',
+              borderRadius: '6px',
+              fontSize: '12px',
+              fontWeight: '700',
+              cursor: 'pointer',
+            }}
+          >
+            🔄 Retry
+          </button>
+        </div>
+      )}
+
       {!isActive && (
         <div style={{
           position: 'absolute',
@@ -0,0 +1,150 @@
+import AttentionTimeline from './AttentionTimeline';
+import { summarizeHistory } from '../utils/timeline';
+import {
+  getStatusColor,
+  getStatusLabel,
+  getSeverityColor,
+  getSeverityIcon,
+  formatTimeIST,
+  formatDuration,
+} from '../utils/detection';
+
+// Drill-down for one student: session timeline, time spent in each status,
+// every transition and every alert. history comes from utils/timeline;
+// start and now bound the timeline (epoch ms).
+export default function StudentHistory({ history, start, now, onClose }) {
+  const totals = summarizeHistory(history, now);
+  const tracked = Object.values(totals).reduce((sum, ms) => sum + ms, 0);
+  const spans = [...history.spans].reverse();
+  const alerts = [...history.alerts].reverse();
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1100,
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: 'min(720px, calc(100vw - 40px))',
+          maxHeight: 'calc(100vh - 40px)',
+          overflowY: 'auto',
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          boxShadow: '0 10px 30px rgba(0, 0, 0, 0.2)',
+          padding: '20px',
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: 0 }}>
+            📈 {history.name || 'Student'}
+          </h3>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '4px 10px',
+              backgroundColor: '#f3f4f6',
+              color: '#374151',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '13px',
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <AttentionTimeline spans={history.spans} start={start} end={now} height={20} />
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#9ca3af', marginTop: '4px' }}>
+          <span>{formatTimeIST(start)}</span>
+          <span>{formatTimeIST(now)}</span>
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', margin: '16px 0' }}>
+          {Object.entries(totals).map(([status, ms]) => (
+            <span
+              key={status}
+              style={{
+                padding: '4px 10px',
+                backgroundColor: getStatusColor(status),
+                color: 'white',
+                borderRadius: '12px',
+                fontSize: '12px',
+                fontWeight: '600',
+              }}
+            >
+              {getStatusLabel(status)}: {formatDuration(ms)} ({Math.round((ms / (tracked || 1)) * 100)}%)
+            </span>
+          ))}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+          <div>
+            <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#111827', margin: '0 0 8px 0' }}>
+              Status history ({spans.length})
+            </h4>
+            <div style={{ maxHeight: '320px', overflowY: 'auto', fontSize: '12px' }}>
+              {spans.length === 0 && <div style={{ color: '#9ca3af' }}>No status updates yet</div>}
+              {spans.map(({ status, from, to }, index) => (
+                <div
+                  key={index}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '6px 8px',
+                    borderLeft: `4px solid ${getStatusColor(status)}`,
+                    backgroundColor: '#fafafa',
+                    marginBottom: '4px',
+                    borderRadius: '4px',
+                  }}
+                >
+                  <span style={{ fontWeight: '600', color: '#374151' }}>{getStatusLabel(status)}</span>
+                  <span style={{ color: '#6b7280' }}>
+                    {formatTimeIST(from, { seconds: true })} · {formatDuration((to ?? now) - from)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#111827', margin: '0 0 8px 0' }}>
+              Alerts ({alerts.length})
+            </h4>
+            <div style={{ maxHeight: '320px', overflowY: 'auto', fontSize: '12px' }}>
+              {alerts.length === 0 && <div style={{ color: '#9ca3af' }}>No alerts this session</div>}
+              {alerts.map((alert) => (
+                <div
+                  key={alert.id}
+                  style={{
+                    padding: '6px 8px',
+                    borderLeft: `4px solid ${getSeverityColor(alert.severity)}`,
+                    backgroundColor: '#fafafa',
+                    marginBottom: '4px',
+                    borderRadius: '4px',
+                  }}
+                >
+                  <div style={{ fontWeight: '600', color: '#374151' }}>
+                    {getSeverityIcon(alert.severity)} {alert.message}
+                  </div>
+                  <div style={{ color: '#6b7280', marginTop: '2px' }}>
+                    {formatTimeIST(alert.timestamp, { seconds: true })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { getDetectorInfo, getRuleLabel, formatTimeAgoIST } from '../utils/detection';
+
+const formatAngle = (value) => (typeof value === 'number' ? `${value}°` : 'n/a');
+
+// "Why is this student flagged?" - the latest attention_telemetry for one
+// student (see utils/telemetry), laid out for the teacher's student card.
+export default function StudentTelemetry({ telemetry }) {
+  if (!telemetry) {
+    return (
+      <div style={{ marginTop: '10px', fontSize: '11px', color: '#9ca3af' }}>
+        Waiting for detection details from this student…
+      </div>
+    );
+  }
+
+  const rows = [
+    ['Rule', getRuleLabel(telemetry.rule)],
+    ['Face in view', `${Math.round(telemetry.face_present_ratio * 100)}% of ${telemetry.samples} detections`],
+    ['Eye openness (EAR)', telemetry.eye_aspect_ratio ?? 'n/a'],
+    ['Head yaw / pitch / roll', telemetry.head_pose
+      ? `${formatAngle(telemetry.head_pose.yaw)} / ${formatAngle(telemetry.head_pose.pitch)} / ${formatAngle(telemetry.head_pose.roll)}`
+      : 'n/a'],
+    ['Gaze across / down', telemetry.gaze
+      ? `${formatAngle(telemetry.gaze.yaw)} / ${formatAngle(telemetry.gaze.pitch)}`
+      : 'n/a'],
+    ['Detector', getDetectorInfo(telemetry.detector).label],
+  ];
+
+  return (
+    <div style={{
+      marginTop: '10px',
+      padding: '10px',
+      backgroundColor: 'white',
+      border: '1px solid #e5e7eb',
+      borderRadius: '6px',
+      fontSize: '11px',
+      color: '#374151',
+    }}>
+      {telemetry.reasons?.length > 0 && (
+        <ul style={{ margin: '0 0 8px 0', paddingLeft: '16px', fontWeight: '600' }}>
+          {telemetry.reasons.map((reason) => <li key={reason}>{reason}</li>)}
+        </ul>
+      )}
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 12px' }}>
+        {rows.map(([label, value]) => (
+          <div key={label} style={{ display: 'contents' }}>
+            <span style={{ color: '#6b7280' }}>{label}</span>
+            <span style={{ fontFamily: 'monospace' }}>{value}</span>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: '6px', color: '#9ca3af' }}>
+        Averaged over {(telemetry.window_ms / 1000).toFixed(0)}s · {formatTimeAgoIST(telemetry.timestamp)}
+      </div>
+    </div>
+  );
+}
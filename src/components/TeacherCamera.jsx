@@ -1,4 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
+import { FrameKind, canvasToBlob } from '../utils/frames';
 
 export default function TeacherCamera({ onClose, wsManager }) {
   const [frameCount, setFrameCount] = useState(0);
@@ -56,7 +57,7 @@ export default function TeacherCamera({ onClose, wsManager }) {
       }
     };
 
-    const captureFrame = () => {
+    const captureFrame = async () => {
       const video = videoRef.current;
       const canvas = canvasRef.current;
 
@@ -81,19 +82,31 @@ export default function TeacherCamera({ onClose, wsManager }) {
       canvas.height = 270;
       ctx.drawImage(video, 0, 0, 480, 270);
 
-      const frameData = canvas.toDataURL('image/jpeg', 0.5);
-
-      if (frameData.length < 3000) {
-        console.error('❌ Frame too small:', frameData.length);
-        return;
-      }
-
-      // Send via WebSocket
+      // Send via WebSocket: raw JPEG bytes when possible, data URL otherwise
       try {
-        wsManager.send({
-          type: 'teacher_camera_frame',
-          frame: frameData
-        });
+        const blob = wsManager.supportsBinaryFrames()
+          ? await canvasToBlob(canvas, 'image/jpeg', 0.5)
+          : null;
+
+        if (blob) {
+          if (blob.size < 2000) {
+            console.error('❌ Frame too small:', blob.size);
+            return;
+          }
+          wsManager.sendFrame({
+            kind: FrameKind.TEACHER_CAMERA,
+            senderId: 'teacher',
+            mimeType: blob.type,
+            bytes: await blob.arrayBuffer(),
+          });
+        } else {
+          const frameData = canvas.toDataURL('image/jpeg', 0.5);
+          if (frameData.length < 3000) {
+            console.error('❌ Frame too small:', frameData.length);
+            return;
+          }
+          wsManager.send('teacher_camera_frame', { frame: frameData });
+        }
         
         setFrameCount(prev => {
           const newCount = prev + 1;
@@ -124,7 +137,7 @@ export default function TeacherCamera({ onClose, wsManager }) {
       }
 
       if (wsManager?.isConnected()) {
-        wsManager.send({ type: 'teacher_camera_stopped' });
+        wsManager.send('teacher_camera_stopped');
         console.log('📤 Stop signal sent');
       }
     };
@@ -136,7 +149,7 @@ export default function TeacherCamera({ onClose, wsManager }) {
       streamRef.current.getTracks().forEach(t => t.stop());
     }
     if (wsManager?.isConnected()) {
-      wsManager.send({ type: 'teacher_camera_stopped' });
+      wsManager.send('teacher_camera_stopped');
     }
     onClose();
   };
@@ -1,103 +1,286 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import StudentCamera from '../components/StudentCamera';
-import { WebSocketManager } from '../utils/websocket';
-import { formatTimeIST } from '../utils/detection';
+import ConnectionStatus from '../components/ConnectionStatus';
+import CalibrationPanel from '../components/CalibrationPanel';
+import { CPU_BUDGETS, DEFAULT_CPU_BUDGET } from '../utils/cpuBudget';
+import { WebSocketManager, ConnectionState } from '../utils/websocket';
+import { DeliveryStatus } from '../utils/outbox';
+import { FrameKind } from '../utils/frames';
+import { computeFramePolicy } from '../utils/framePolicy';
+import { RedactionMode, REDACTION_LABELS } from '../utils/redaction';
+import { DEFAULT_THRESHOLDS } from '../utils/calibration';
+import { DEFAULT_ATTENTION_ENGINE, hasAttentionEngine } from '../utils/attentionEngine';
+import { IdentityMonitor } from '../utils/identity';
+import {
+  DEFAULT_DETECTION_PROFILE,
+  DETECTION_PRESETS,
+  applyDetectionProfile,
+  getDetectionProfileLabel,
+  normalizeDetectionProfile,
+} from '../utils/detectionProfile';
+import { LandmarkRecorder } from '../utils/replay';
+import { downloadFile } from '../utils/download';
+import { formatTimeIST, getIdentityCheckLimit } from '../utils/detection';
+import {
+  createStudentSession,
+  loadStudentSession,
+  saveStudentSession,
+  clearStudentSession,
+} from '../utils/session';
 
 const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:8000';
+// Build-time switch, not negotiated with the server: set VITE_BINARY_FRAMES=false
+// for a server that only relays JSON camera_frame messages
+const BINARY_FRAMES = import.meta.env.VITE_BINARY_FRAMES !== 'false';
+// Landmark recording for scripts/replay.js; dev builds only unless enabled
+const RECORDING_ENABLED = import.meta.env.DEV || import.meta.env.VITE_ENABLE_RECORDING === 'true';
 
 export default function StudentPage() {
   const navigate = useNavigate();
   const [studentName, setStudentName] = useState('');
   const [roomCode, setRoomCode] = useState('');
   const [isJoined, setIsJoined] = useState(false);
-  const [isConnected, setIsConnected] = useState(false);
+  const [connectionState, setConnectionState] = useState(ConnectionState.IDLE);
   const [connectionError, setConnectionError] = useState('');
   const [participants, setParticipants] = useState([]);
   const [messages, setMessages] = useState([]);
   const [messageInput, setMessageInput] = useState('');
   const [activeTab, setActiveTab] = useState('participants');
   const [participantFrames, setParticipantFrames] = useState({});
+  const [pendingMessages, setPendingMessages] = useState(0);
+  const [chatError, setChatError] = useState('');
+  const [cameraEnabled, setCameraEnabled] = useState(true);
+  const [hdRequested, setHdRequested] = useState(false);
+  const [privacyMode, setPrivacyMode] = useState(false);
+  const [roomPrivacy, setRoomPrivacy] = useState(false);
+  const [redactionMode, setRedactionMode] = useState(RedactionMode.NONE);
+  const [calibration, setCalibration] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [attentionEngine, setAttentionEngine] = useState(DEFAULT_ATTENTION_ENGINE);
+  const [identityCheck, setIdentityCheck] = useState(false);
+  const [detector, setDetector] = useState(null);
+  const [detectionProfile, setDetectionProfile] = useState(DEFAULT_DETECTION_PROFILE);
+  const [isRecording, setIsRecording] = useState(false);
+  const [cpuBudget, setCpuBudget] = useState(DEFAULT_CPU_BUDGET);
+  // Holds the face captured at join time; outlives camera on/off toggles
+  const [identityMonitor] = useState(() => new IdentityMonitor());
 
   const wsRef = useRef(null);
   const studentIdRef = useRef(null);
+  const sessionTokenRef = useRef(null);
+  const roomSizeRef = useRef(1);
+  const frameFeedbackRef = useRef(null);
+  const hdRequestedRef = useRef(false);
+  const privacyModeRef = useRef(false);
+  // True when either the student or the room turned privacy mode on
+  const imagesBlockedRef = useRef(false);
+  // Object URLs backing classmates' binary frames, keyed by student id: { url, timestamp }
+  const frameUrlsRef = useRef({});
+  // Whose images not to show: classmates who turned on privacy, or everyone
+  // while the room is private
+  const roomPrivacyRef = useRef(false);
+  const privateStudentsRef = useRef(new Set());
+  const isCalibratingRef = useRef(false);
+  const featureListenersRef = useRef(new Set());
+  const recorderRef = useRef(null);
   const chatEndRef = useRef(null);
-  const reconnectTimeoutRef = useRef(null);
-
-  const handleWebSocketMessage = useCallback((message) => {
-    console.log('📨 Student received:', message.type);
-
-    switch (message.type) {
-      case 'participant_list':
-        setParticipants(message.data.participants || []);
-        break;
-
-      case 'student_join':
-        setParticipants(prev => {
-          const exists = prev.some(p => p.id === message.data.student_id);
-          if (exists) return prev;
-          return [...prev, {
-            id: message.data.student_id,
-            name: message.data.student_name,
-            type: 'student'
-          }];
-        });
-        break;
-
-      case 'student_leave':
-        setParticipants(prev => prev.filter(p => p.id !== message.data.student_id));
-        break;
-
-      case 'camera_frame':
-        if (message.data.student_id !== studentIdRef.current) {
-          setParticipantFrames(prev => ({
-            ...prev,
-            [message.data.student_id]: message.data.frame
-          }));
-        }
-        break;
-
-      case 'chat_message':
-        setMessages(prev => [...prev, message.data]);
-        setTimeout(() => chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }), 100);
-        break;
-
-      case 'room_closed':
-        alert('Teacher ended the class');
-        setIsJoined(false);
-        navigate('/');
-        break;
-
-      case 'error':
-        setConnectionError(message.message);
-        setIsConnected(false);
-        break;
-
-      default:
-        break;
+
+  const releaseFrameUrl = useCallback((studentId) => {
+    const entry = frameUrlsRef.current[studentId];
+    if (entry) {
+      URL.revokeObjectURL(entry.url);
+      delete frameUrlsRef.current[studentId];
     }
-  }, [navigate]);
+  }, []);
+
+  const dropParticipantFrames = useCallback((studentIds) => {
+    studentIds.forEach(releaseFrameUrl);
+    setParticipantFrames((prev) => {
+      const frames = { ...prev };
+      studentIds.forEach(id => delete frames[id]);
+      return frames;
+    });
+  }, [releaseFrameUrl]);
+
+  const subscribeToMessages = useCallback((ws) => {
+    const imagesBlocked = (studentId) =>
+      roomPrivacyRef.current || privateStudentsRef.current.has(studentId);
+
+    const setRoomImagesBlocked = (enabled) => {
+      roomPrivacyRef.current = enabled;
+      if (enabled) {
+        Object.keys(frameUrlsRef.current).forEach(releaseFrameUrl);
+        setParticipantFrames({});
+      }
+    };
+
+    ws.on('*', (message) => {
+      console.log('📨 Student received:', message.type);
+    });
+
+    ws.on('participant_list', (message) => {
+      setParticipants(message.data.participants || []);
+      (message.data.participants || []).forEach((participant) => {
+        if (participant.privacy) privateStudentsRef.current.add(participant.id);
+      });
+      dropParticipantFrames([...privateStudentsRef.current]);
+      if (typeof message.data.privacy_mode === 'boolean') {
+        imagesBlockedRef.current = message.data.privacy_mode || privacyModeRef.current;
+        setRoomImagesBlocked(message.data.privacy_mode);
+        setRoomPrivacy(message.data.privacy_mode);
+      }
+      if (Object.values(RedactionMode).includes(message.data.redaction_mode)) {
+        setRedactionMode(message.data.redaction_mode);
+      }
+      if (hasAttentionEngine(message.data.attention_engine)) {
+        setAttentionEngine(message.data.attention_engine);
+      }
+      if (typeof message.data.identity_check === 'boolean') {
+        setIdentityCheck(message.data.identity_check);
+      }
+      if (message.data.detection_profile) {
+        setDetectionProfile(normalizeDetectionProfile(message.data.detection_profile));
+      }
+    });
+
+    ws.on('redaction_policy', (message) => {
+      console.log('🫥 Frame redaction:', message.data.mode);
+      setRedactionMode(message.data.mode);
+    });
+
+    ws.on('attention_engine', (message) => {
+      console.log('🧮 Room attention engine:', message.data.engine);
+      setAttentionEngine(hasAttentionEngine(message.data.engine)
+        ? message.data.engine
+        : DEFAULT_ATTENTION_ENGINE);
+    });
+
+    ws.on('identity_check', (message) => {
+      console.log(message.data.enabled ? '🪪 Identity check on' : '🪪 Identity check off');
+      setIdentityCheck(message.data.enabled);
+    });
+
+    ws.on('detection_profile', (message) => {
+      const profile = normalizeDetectionProfile(message.data);
+      console.log('🎚️ Room detection profile:', profile.name, profile.settings);
+      setDetectionProfile(profile);
+    });
+
+    ws.on('privacy_mode', (message) => {
+      console.log(message.data.enabled ? '🔒 Room privacy mode on' : '🔓 Room privacy mode off');
+      imagesBlockedRef.current = message.data.enabled || privacyModeRef.current;
+      setRoomImagesBlocked(message.data.enabled);
+      setRoomPrivacy(message.data.enabled);
+    });
+
+    ws.on('student_privacy', (message) => {
+      const { student_id, enabled } = message.data;
+      if (enabled) {
+        privateStudentsRef.current.add(student_id);
+        dropParticipantFrames([student_id]);
+      } else {
+        privateStudentsRef.current.delete(student_id);
+      }
+    });
+
+    ws.on('student_join', (message) => {
+      setParticipants(prev => {
+        const exists = prev.some(p => p.id === message.data.student_id);
+        if (exists) return prev;
+        return [...prev, {
+          id: message.data.student_id,
+          name: message.data.student_name,
+          type: 'student'
+        }];
+      });
+    });
+
+    ws.on('student_leave', (message) => {
+      setParticipants(prev => prev.filter(p => p.id !== message.data.student_id));
+      privateStudentsRef.current.delete(message.data.student_id);
+      dropParticipantFrames([message.data.student_id]);
+    });
+
+    ws.on('camera_frame', (message) => {
+      if (message.data.student_id !== studentIdRef.current && !imagesBlocked(message.data.student_id)) {
+        releaseFrameUrl(message.data.student_id);
+        setParticipantFrames(prev => ({
+          ...prev,
+          [message.data.student_id]: message.data.frame
+        }));
+      }
+    });
+
+    ws.onFrame((frame) => {
+      if (frame.kind !== FrameKind.STUDENT_CAMERA || frame.senderId === studentIdRef.current) return;
+      if (imagesBlocked(frame.senderId)) return;
+
+      // Frames can overtake each other across a reconnect; keep the newest
+      const previous = frameUrlsRef.current[frame.senderId];
+      if (previous && frame.timestamp < previous.timestamp) return;
+
+      const url = URL.createObjectURL(new Blob([frame.bytes], { type: frame.mimeType }));
+      frameUrlsRef.current[frame.senderId] = { url, timestamp: frame.timestamp };
+      setParticipantFrames(prev => ({ ...prev, [frame.senderId]: url }));
+      if (previous) URL.revokeObjectURL(previous.url);
+    });
+
+    ws.on('chat_message', (message) => {
+      setMessages(prev => [...prev, message.data]);
+      setTimeout(() => chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }), 100);
+    });
+
+    ws.on('room_closed', () => {
+      clearStudentSession();
+      alert('Teacher ended the class');
+      setIsJoined(false);
+      navigate('/');
+    });
 
-  const connectWebSocket = useCallback(() => {
-    if (!roomCode || !studentIdRef.current || !studentName) return;
+    ws.on('frame_feedback', (message) => {
+      frameFeedbackRef.current = message.data;
+    });
+
+    ws.on('request_hd_stream', (message) => {
+      if (message.data.student_id !== studentIdRef.current) return;
+      console.log(message.data.enabled ? '🔍 Teacher requested HD stream' : '🔍 HD stream ended');
+      hdRequestedRef.current = message.data.enabled;
+      setHdRequested(message.data.enabled);
+    });
+
+    ws.on('error', (message) => {
+      setConnectionError(message.message);
+    });
+  }, [navigate, releaseFrameUrl, dropParticipantFrames]);
+
+  const connectWebSocket = useCallback((session) => {
+    const { studentId, token, studentName: name, roomCode: room } = session;
+    if (!room || !studentId || !name) return;
 
     console.log('🔌 Connecting student WebSocket...');
-    const wsUrl = `${WS_URL}/ws/student/${roomCode}/${studentIdRef.current}?name=${encodeURIComponent(studentName)}`;
-    wsRef.current = new WebSocketManager(wsUrl, handleWebSocketMessage);
+    const params = new URLSearchParams({ name, session: token });
+    const wsUrl = `${WS_URL}/ws/student/${room}/${studentId}?${params}`;
+    wsRef.current = new WebSocketManager(wsUrl, { binaryFrames: BINARY_FRAMES });
+    subscribeToMessages(wsRef.current);
 
-    wsRef.current.connect()
-      .then(() => {
+    wsRef.current.onStateChange((state) => {
+      setConnectionState(state);
+      if (state === ConnectionState.OPEN) {
         console.log('✅ Student connected');
-        setIsConnected(true);
+        if (privacyModeRef.current) {
+          wsRef.current?.send('student_privacy', { enabled: true });
+        }
         setConnectionError('');
-      })
-      .catch((err) => {
-        console.error('❌ Connection failed:', err);
-        setIsConnected(false);
-        setConnectionError('Failed to connect. Retrying...');
-        reconnectTimeoutRef.current = setTimeout(connectWebSocket, 3000);
-      });
-  }, [roomCode, studentName, handleWebSocketMessage]);
+      } else if (state === ConnectionState.FAILED) {
+        setConnectionError('Failed to connect. Check your network and retry.');
+      }
+    });
+
+    wsRef.current.connect().catch((err) => {
+      console.error('❌ Connection failed:', err);
+    });
+  }, [subscribeToMessages]);
 
   const handleJoin = () => {
     if (!studentName.trim() || !roomCode.trim()) {
@@ -105,9 +288,13 @@ export default function StudentPage() {
       return;
     }
 
-    studentIdRef.current = `student_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const session = createStudentSession(studentName.trim(), roomCode.trim());
+    studentIdRef.current = session.studentId;
+    sessionTokenRef.current = session.token;
+    saveStudentSession(session);
     setIsJoined(true);
-    connectWebSocket();
+    connectWebSocket(session);
+    startCalibration();
   };
 
   const handleLeave = () => {
@@ -115,59 +302,207 @@ export default function StudentPage() {
       if (wsRef.current) {
         wsRef.current.disconnect();
       }
+      Object.keys(frameUrlsRef.current).forEach(releaseFrameUrl);
+      setParticipantFrames({});
+      privateStudentsRef.current.clear();
+      clearStudentSession();
       setIsJoined(false);
       navigate('/');
     }
   };
 
-  const handleStatusChange = (detectionData) => {
+  const handleStatusChange = useCallback((detectionData) => {
     console.log('═══════════════════════════════════════');
     console.log('📊 DETECTION:', detectionData.status);
     console.log('🔌 WebSocket Connected:', wsRef.current?.isConnected());
     console.log('═══════════════════════════════════════');
+    setDetector(detectionData.detector);
+
+    // Calibration asks the student to look away and close their eyes on
+    // purpose; don't report that to the teacher
+    if (!wsRef.current || isCalibratingRef.current) return;
+
+    const receipt = wsRef.current.send('attention_update', detectionData);
+    if (receipt.status === DeliveryStatus.SENT) {
+      console.log('✅ SENT TO SERVER:', detectionData);
+    } else if (receipt.status === DeliveryStatus.QUEUED) {
+      console.warn('📦 WEBSOCKET NOT CONNECTED - update queued');
+    }
+  }, []);
 
-    if (wsRef.current?.isConnected()) {
-      const message = {
-        type: 'attention_update',
-        data: detectionData,
-      };
+  const handleTelemetry = useCallback((telemetry) => {
+    if (!wsRef.current?.isConnected() || isCalibratingRef.current) return;
+    wsRef.current.send('attention_telemetry', telemetry);
+  }, []);
 
-      wsRef.current.send(message);
-      console.log('✅ SENT TO SERVER:', message);
+  const handleFrameCapture = useCallback(async (frame) => {
+    if (imagesBlockedRef.current || !wsRef.current?.isConnected()) return;
+
+    if (frame instanceof Blob) {
+      wsRef.current.sendFrame({
+        kind: FrameKind.STUDENT_CAMERA,
+        senderId: studentIdRef.current,
+        mimeType: frame.type,
+        bytes: await frame.arrayBuffer(),
+      });
     } else {
-      console.error('❌ WEBSOCKET NOT CONNECTED');
+      wsRef.current.send('camera_frame', { frame });
     }
+  }, []);
+
+  const getFramePolicy = useCallback(() => imagesBlockedRef.current ? null : computeFramePolicy({
+    roomSize: roomSizeRef.current,
+    feedback: frameFeedbackRef.current,
+    bufferedAmount: wsRef.current?.getBufferedAmount() || 0,
+    highResolution: hdRequestedRef.current,
+  }), []);
+
+  // The room's detection profile applies live on top of the calibration
+  const thresholds = useMemo(
+    () => applyDetectionProfile(calibration?.thresholds || DEFAULT_THRESHOLDS, detectionProfile),
+    [calibration, detectionProfile]
+  );
+  // Paused during calibration, whose poses would otherwise become the
+  // reference face
+  const identityCheckActive = identityCheck && !isCalibrating;
+
+  const handleFeatures = useCallback((features) => {
+    featureListenersRef.current.forEach(listener => listener(features));
+  }, []);
+
+  const handleDetection = useCallback((faces, frame, timestamp, detector) => {
+    recorderRef.current?.add(faces, frame, timestamp, detector);
+  }, []);
+
+  // Records landmarks locally and saves them as JSON for scripts/replay.js
+  const toggleRecording = () => {
+    if (!recorderRef.current) {
+      recorderRef.current = new LandmarkRecorder();
+      setCameraEnabled(true);
+      setIsRecording(true);
+      console.log('⏺️ Recording landmarks');
+      return;
+    }
+
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    setIsRecording(false);
+    console.log(`⏹️ Recorded ${recorder.frameCount} frames (${(recorder.durationMs / 1000).toFixed(1)}s)`);
+    if (recorder.frameCount === 0) return;
+    if (recorder.detector !== 'face_mesh') {
+      alert('Only Face Mesh detection can be recorded for replay; this device fell back to basic detection');
+      return;
+    }
+
+    downloadFile(JSON.stringify(recorder), `attention-recording-${Date.now()}.json`, 'application/json');
   };
 
-  const handleFrameCapture = (frameData) => {
-    if (wsRef.current?.isConnected()) {
-      wsRef.current.send({
-        type: 'camera_frame',
-        frame: frameData,
-      });
+  const subscribeFeatures = useCallback((listener) => {
+    featureListenersRef.current.add(listener);
+    return () => featureListenersRef.current.delete(listener);
+  }, []);
+
+  const startCalibration = () => {
+    isCalibratingRef.current = true;
+    setCameraEnabled(true);
+    setIsCalibrating(true);
+  };
+
+  const finishCalibration = useCallback((result) => {
+    isCalibratingRef.current = false;
+    setIsCalibrating(false);
+    if (result) {
+      setCalibration(result);
     }
+  }, []);
+
+  const cancelCalibration = useCallback(() => finishCalibration(null), [finishCalibration]);
+
+  useEffect(() => {
+    privacyModeRef.current = privacyMode;
+    imagesBlockedRef.current = privacyMode || roomPrivacy;
+  }, [privacyMode, roomPrivacy]);
+
+  const togglePrivacyMode = () => {
+    const enabled = !privacyMode;
+    // Block images locally before telling anyone, so no frame slips out
+    imagesBlockedRef.current = enabled || roomPrivacy;
+    setPrivacyMode(enabled);
+    wsRef.current?.send('student_privacy', { enabled });
+  };
+
+  useEffect(() => {
+    roomSizeRef.current = participants
+      .filter(p => p.type !== 'teacher' && p.id !== studentIdRef.current)
+      .length + 1;
+  }, [participants]);
+
+  const trackDelivery = (receipt) => {
+    if (receipt.status !== DeliveryStatus.QUEUED) return;
+    setPendingMessages(prev => prev + 1);
+    receipt.settled.then((status) => {
+      setPendingMessages(prev => Math.max(0, prev - 1));
+      // Expired in the outbox or pushed out of a full one
+      if (status === DeliveryStatus.DROPPED) setChatError('Message could not be sent');
+    });
   };
 
   const sendMessage = () => {
-    if (messageInput.trim() && wsRef.current?.isConnected()) {
-      wsRef.current.send({
-        type: 'chat_message',
-        message: messageInput.trim()
-      });
+    if (messageInput.trim() && wsRef.current) {
+      const receipt = wsRef.current.send('chat_message', { message: messageInput.trim() });
+      if (receipt.status === DeliveryStatus.DROPPED || receipt.status === DeliveryStatus.INVALID) {
+        setChatError('Message could not be sent');
+        return;
+      }
+      setChatError('');
+      trackDelivery(receipt);
       setMessageInput('');
     }
   };
 
+  // Resume a session left behind by a refresh or crash
   useEffect(() => {
+    const frameUrls = frameUrlsRef.current;
+    const session = loadStudentSession();
+    if (session) {
+      console.log('♻️ Resuming session for', session.studentName, 'in room', session.roomCode);
+      studentIdRef.current = session.studentId;
+      sessionTokenRef.current = session.token;
+      setStudentName(session.studentName);
+      setRoomCode(session.roomCode);
+      setMessages(session.messages || []);
+      setCameraEnabled(session.cameraEnabled !== false);
+      setCalibration(session.calibration || null);
+      setCpuBudget(session.cpuBudget || DEFAULT_CPU_BUDGET);
+      setPrivacyMode(Boolean(session.privacyMode));
+      privacyModeRef.current = Boolean(session.privacyMode);
+      imagesBlockedRef.current = Boolean(session.privacyMode);
+      setIsJoined(true);
+      connectWebSocket(session);
+    }
+
     return () => {
-      if (reconnectTimeoutRef.current) {
-        clearTimeout(reconnectTimeoutRef.current);
-      }
       if (wsRef.current) {
         wsRef.current.disconnect();
       }
+      Object.keys(frameUrls).forEach(releaseFrameUrl);
     };
-  }, []);
+  }, [connectWebSocket, releaseFrameUrl]);
+
+  useEffect(() => {
+    if (!isJoined || !studentIdRef.current) return;
+    saveStudentSession({
+      studentId: studentIdRef.current,
+      token: sessionTokenRef.current,
+      studentName,
+      roomCode,
+      messages,
+      cameraEnabled,
+      privacyMode,
+      calibration,
+      cpuBudget,
+    });
+  }, [isJoined, studentName, roomCode, messages, cameraEnabled, privacyMode, calibration, cpuBudget]);
 
   if (!isJoined) {
     return (
@@ -318,16 +653,69 @@ export default function StudentPage() {
         </div>
 
         <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
-          <div style={{
-            padding: '6px 14px',
-            backgroundColor: isConnected ? '#dcfce7' : '#fee2e2',
-            borderRadius: '16px',
-            fontSize: '13px',
-            fontWeight: '500',
-            color: isConnected ? '#166534' : '#991b1b',
-          }}>
-            ● {isConnected ? 'Connected' : 'Reconnecting...'}
-          </div>
+          <ConnectionStatus
+            state={connectionState}
+            onRetry={() => wsRef.current?.reconnect()}
+          />
+
+          <button
+            onClick={startCalibration}
+            disabled={isCalibrating}
+            title={calibration
+              ? `Calibrated at ${formatTimeIST(calibration.calibratedAt)}`
+              : 'Using default detection thresholds'}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: calibration ? '#f3f4f6' : '#fef3c7',
+              color: calibration ? '#374151' : '#92400e',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: isCalibrating ? 'not-allowed' : 'pointer',
+              fontSize: '13px',
+              fontWeight: '600',
+            }}
+          >
+            🎯 {calibration ? 'Recalibrate' : 'Calibrate'}
+          </button>
+
+          <select
+            value={cpuBudget}
+            onChange={(e) => setCpuBudget(e.target.value)}
+            title="How much of this device's CPU attention detection may use"
+            style={{
+              padding: '7px 10px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px',
+              fontSize: '13px',
+              fontWeight: '600',
+              color: '#374151',
+              backgroundColor: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            {Object.entries(CPU_BUDGETS).map(([name, { label, description }]) => (
+              <option key={name} value={name} title={description}>⚙️ CPU: {label}</option>
+            ))}
+          </select>
+
+          {RECORDING_ENABLED && (
+            <button
+              onClick={toggleRecording}
+              title="Record face landmarks to a JSON file for scripts/replay.js"
+              style={{
+                padding: '8px 16px',
+                backgroundColor: isRecording ? '#fee2e2' : '#f3f4f6',
+                color: isRecording ? '#991b1b' : '#374151',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '13px',
+                fontWeight: '600',
+              }}
+            >
+              {isRecording ? '⏹️ Save recording' : '⏺️ Record'}
+            </button>
+          )}
 
           <button
             onClick={handleLeave}
@@ -480,8 +868,18 @@ export default function StudentPage() {
                       color: 'white',
                       fontSize: '20px',
                       fontWeight: 'bold',
+                      overflow: 'hidden',
+                      flexShrink: 0,
                     }}>
-                      {participant.name.charAt(0).toUpperCase()}
+                      {participantFrames[participant.id] ? (
+                        <img
+                          src={participantFrames[participant.id]}
+                          alt={participant.name}
+                          style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                        />
+                      ) : (
+                        participant.name.charAt(0).toUpperCase()
+                      )}
                     </div>
                     <div>
                       <div style={{ fontWeight: '600', fontSize: '15px', color: '#111827' }}>
@@ -542,11 +940,26 @@ export default function StudentPage() {
               <div ref={chatEndRef} />
             </div>
 
+            {pendingMessages > 0 && (
+              <div style={{ fontSize: '12px', color: '#92400e', marginBottom: '8px' }}>
+                ⏳ {pendingMessages} message{pendingMessages > 1 ? 's' : ''} will be sent when reconnected
+              </div>
+            )}
+
+            {chatError && (
+              <div style={{ fontSize: '12px', color: '#b91c1c', marginBottom: '8px' }}>
+                ⚠️ {chatError}
+              </div>
+            )}
+
             <div style={{ display: 'flex', gap: '8px' }}>
               <input
                 type="text"
                 value={messageInput}
-                onChange={(e) => setMessageInput(e.target.value)}
+                onChange={(e) => {
+                  setMessageInput(e.target.value);
+                  setChatError('');
+                }}
                 onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
                 placeholder="Type a message..."
                 style={{
@@ -600,19 +1013,112 @@ export default function StudentPage() {
           padding: '10px 16px',
           fontSize: '13px',
           fontWeight: '700',
-          textAlign: 'center',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
         }}>
-          📹 Your Camera
+          <span>📹 Your Camera{hdRequested && ' · HD'}</span>
+          <button
+            onClick={() => setCameraEnabled(prev => !prev)}
+            style={{
+              padding: '2px 8px',
+              backgroundColor: cameraEnabled ? '#ef4444' : '#16a34a',
+              color: 'white',
+              border: '1px solid white',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '11px',
+              fontWeight: '600',
+            }}
+          >
+            {cameraEnabled ? 'Turn off' : 'Turn on'}
+          </button>
         </div>
         
         <div style={{ width: '100%', height: '225px', position: 'relative', backgroundColor: '#000' }}>
-          <StudentCamera
-            onStatusChange={handleStatusChange}
-            onFrameCapture={handleFrameCapture}
-          />
+          {cameraEnabled ? (
+            <StudentCamera
+              onStatusChange={handleStatusChange}
+              onFrameCapture={handleFrameCapture}
+              binaryFrames={BINARY_FRAMES}
+              getFramePolicy={getFramePolicy}
+              redactionMode={redactionMode}
+              thresholds={thresholds}
+              onFeatures={handleFeatures}
+              onDetection={RECORDING_ENABLED ? handleDetection : undefined}
+              onTelemetry={handleTelemetry}
+              engine={attentionEngine}
+              identityMonitor={identityMonitor}
+              identityCheck={identityCheckActive}
+              cpuBudget={cpuBudget}
+            />
+          ) : (
+            <div style={{
+              height: '100%',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              color: '#9ca3af',
+              fontSize: '13px',
+            }}>
+              Camera is off
+            </div>
+          )}
+        </div>
+
+        <div style={{
+          padding: '8px 12px',
+          backgroundColor: privacyMode || roomPrivacy ? '#ede9fe' : '#f0fdf4',
+          color: privacyMode || roomPrivacy ? '#5b21b6' : '#166534',
+          fontSize: '11px',
+          fontWeight: '600',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '8px',
+        }}>
+          <span>
+            {privacyMode || roomPrivacy
+              ? `🔒 Privacy mode${roomPrivacy ? ' (set by teacher)' : ''}: only your attention status is shared, no images`
+              : redactionMode === RedactionMode.NONE
+                ? '📡 Sharing: camera thumbnails + attention status'
+                : `📡 Sharing: camera thumbnails (${REDACTION_LABELS[redactionMode].toLowerCase()}) + attention status`}
+            {identityCheck && (getIdentityCheckLimit(detector)
+              ? ` · 🪪 Identity check: ${getIdentityCheckLimit(detector)}`
+              : ' · 🪪 Identity check on (runs on this device)')}
+            <span title={DETECTION_PRESETS[detectionProfile.name]?.description || 'Custom limits set by your teacher'}>
+              {` · 🎚️ ${getDetectionProfileLabel(detectionProfile)} detection`}
+            </span>
+          </span>
+          {!roomPrivacy && (
+            <button
+              onClick={togglePrivacyMode}
+              style={{
+                padding: '2px 8px',
+                backgroundColor: privacyMode ? '#6b7280' : '#8b5cf6',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: '600',
+                whiteSpace: 'nowrap',
+              }}
+            >
+              {privacyMode ? 'Share images' : 'Go private'}
+            </button>
+          )}
         </div>
       </div>
 
+      {isCalibrating && (
+        <CalibrationPanel
+          subscribeFeatures={subscribeFeatures}
+          onComplete={finishCalibration}
+          onCancel={cancelCalibration}
+        />
+      )}
+
       {connectionError && (
         <div style={{
           position: 'fixed',
@@ -1,175 +1,398 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { WebSocketManager } from '../utils/websocket';
-import { getStatusColor, getStatusLabel, formatTimeAgoIST, formatTimeIST } from '../utils/detection';
+import ConnectionStatus from '../components/ConnectionStatus';
+import DetectionProfilePanel from '../components/DetectionProfilePanel';
+import StudentTelemetry from '../components/StudentTelemetry';
+import AttentionTimeline from '../components/AttentionTimeline';
+import StudentHistory from '../components/StudentHistory';
+import EngagementChart from '../components/EngagementChart';
+import SessionReport from '../components/SessionReport';
+import { WebSocketManager, ConnectionState } from '../utils/websocket';
+import { DeliveryStatus } from '../utils/outbox';
+import { FrameKind } from '../utils/frames';
+import { ReceiveRateMeter, estimateDownlinkKbps } from '../utils/framePolicy';
+import { RedactionMode, REDACTION_LABELS } from '../utils/redaction';
+import {
+  DEFAULT_ATTENTION_ENGINE,
+  getAttentionEngines,
+  hasAttentionEngine,
+} from '../utils/attentionEngine';
+import {
+  DEFAULT_DETECTION_PROFILE,
+  getDetectionProfileLabel,
+  normalizeDetectionProfile,
+} from '../utils/detectionProfile';
+import { ENGAGEMENT_SAMPLE_MS, sampleEngagement, appendSample } from '../utils/engagement';
+import { buildSessionReport } from '../utils/report';
+import { recordStatus, recordAlert, closeHistory, toTimestamp } from '../utils/timeline';
+import { loadTeacherSession, saveTeacherSession, clearTeacherSession } from '../utils/session';
+import {
+  getStatusColor,
+  getStatusLabel,
+  getDetectorInfo,
+  getIdentityCheckLimit,
+  getSeverityColor,
+  getSeverityIcon,
+  formatTimeAgoIST,
+  formatTimeIST,
+} from '../utils/detection';
 
 const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:8000';
+const BINARY_FRAMES = import.meta.env.VITE_BINARY_FRAMES !== 'false';
 
-const ALERT_SEVERITY_COLORS = {
-  low: '#3b82f6',
-  medium: '#f59e0b',
-  high: '#ef4444',
-};
+const MAX_ALERTS = 50;
+const FRAME_FEEDBACK_INTERVAL = 5000;
+// Sliders fire on every step; only broadcast once the teacher pauses
+const PROFILE_SEND_DELAY = 300;
+// How often open timeline spans are redrawn up to the current time
+const TIMELINE_TICK_MS = 5000;
+
+const toAlert = (data) => ({
+  id: data.id || `${data.student_id}-${data.timestamp || Date.now()}`,
+  student_id: data.student_id,
+  student_name: data.student_name,
+  alert_type: data.alert_type,
+  message: data.message,
+  severity: data.severity,
+  timestamp: data.timestamp,
+});
 
 export default function TeacherPage() {
   const navigate = useNavigate();
   const [students, setStudents] = useState([]);
   const [studentFrames, setStudentFrames] = useState({});
   const [alerts, setAlerts] = useState([]);
-  const [isConnected, setIsConnected] = useState(false);
+  const [connectionState, setConnectionState] = useState(ConnectionState.IDLE);
   const [roomId, setRoomId] = useState(null);
   const [stats, setStats] = useState({ total: 0, attentive: 0, needsAttention: 0 });
   const [messages, setMessages] = useState([]);
   const [messageInput, setMessageInput] = useState('');
   const [showChat, setShowChat] = useState(false);
+  const [pendingMessages, setPendingMessages] = useState(0);
+  const [chatError, setChatError] = useState('');
+  const [hdStudentId, setHdStudentId] = useState(null);
+  const [roomPrivacy, setRoomPrivacy] = useState(false);
+  const [redactionMode, setRedactionMode] = useState(RedactionMode.NONE);
+  const [attentionEngine, setAttentionEngine] = useState(DEFAULT_ATTENTION_ENGINE);
+  const [identityCheck, setIdentityCheck] = useState(false);
+  const [detectionProfile, setDetectionProfile] = useState(DEFAULT_DETECTION_PROFILE);
+  const [showDetectionProfile, setShowDetectionProfile] = useState(false);
+  const [explainStudentId, setExplainStudentId] = useState(null);
+  // Status spans and alerts per student id, kept after students leave
+  const [histories, setHistories] = useState({});
+  const [historyStudentId, setHistoryStudentId] = useState(null);
+  const [, setTimelineTick] = useState(0);
+  const [engagement, setEngagement] = useState([]);
+  const [segments, setSegments] = useState([]);
+  // { report, leaving } while the export dialog is open
+  const [sessionReport, setSessionReport] = useState(null);
 
   const wsRef = useRef(null);
   const chatEndRef = useRef(null);
-  const reconnectTimeoutRef = useRef(null);
-  const MAX_ALERTS = 50;
-
-  const handleWebSocketMessage = useCallback((message) => {
-    console.log('📨 Teacher received:', message.type);
-
-    switch (message.type) {
-      case 'room_created':
-        console.log('🏠 Room created:', message.data.room_id);
-        setRoomId(message.data.room_id);
-        setStudents(message.data.students || []);
-        break;
-
-      case 'student_join':
-        console.log('👋 Student joined:', message.data.student_name);
-        setStudents(prev => {
-          const exists = prev.some(s => s.id === message.data.student_id);
-          if (exists) return prev;
-          return [...prev, {
-            id: message.data.student_id,
-            name: message.data.student_name,
-            status: 'attentive',
-            last_update: message.data.timestamp,
-            alerts_count: 0,
-          }];
+  const sessionRef = useRef(null);
+  // Object URLs backing binary frames, keyed by student id: { url, timestamp }
+  const frameUrlsRef = useRef({});
+  const receiveMeterRef = useRef(new ReceiveRateMeter());
+  const studentCountRef = useRef(0);
+  const studentsRef = useRef([]);
+  // Read by frame handlers so images arriving after privacy is enabled are dropped
+  const roomPrivacyRef = useRef(false);
+  const privateStudentsRef = useRef(new Set());
+  const profileTimerRef = useRef(null);
+
+  const releaseFrameUrl = useCallback((studentId) => {
+    const entry = frameUrlsRef.current[studentId];
+    if (entry) {
+      URL.revokeObjectURL(entry.url);
+      delete frameUrlsRef.current[studentId];
+    }
+  }, []);
+
+  const subscribeToMessages = useCallback((ws) => {
+    const rememberRoom = (data) => {
+      const previousRoom = sessionRef.current.roomId;
+      if (previousRoom && previousRoom !== data.room_id) {
+        console.warn(`⚠️ Room ${previousRoom} could not be reclaimed, now hosting ${data.room_id}`);
+      }
+      sessionRef.current = {
+        ...sessionRef.current,
+        roomId: data.room_id,
+        token: data.teacher_token || sessionRef.current.token,
+      };
+      saveTeacherSession(sessionRef.current);
+    };
+
+    ws.on('*', (message) => {
+      console.log('📨 Teacher received:', message.type);
+    });
+
+    ws.on('room_created', (message) => {
+      console.log('🏠 Room created:', message.data.room_id);
+      rememberRoom(message.data);
+      setRoomId(message.data.room_id);
+      setStudents(message.data.students || []);
+    });
+
+    ws.on('room_snapshot', (message) => {
+      const { room_id, students, alerts, messages } = message.data;
+      console.log('♻️ Room restored:', room_id, `(${students.length} students)`);
+      rememberRoom(message.data);
+      setRoomId(room_id);
+      setStudents(students);
+      setHistories(prev => {
+        const next = { ...prev };
+        students.forEach(student => {
+          if (!next[student.id] && student.status) {
+            next[student.id] = recordStatus(undefined, student.status, toTimestamp(student.last_update), student.name);
+          }
         });
-        break;
+        return next;
+      });
+      setAlerts((alerts || []).map(toAlert).slice(0, MAX_ALERTS));
+      setMessages(messages || []);
+      if (typeof message.data.privacy_mode === 'boolean') {
+        roomPrivacyRef.current = message.data.privacy_mode;
+        setRoomPrivacy(message.data.privacy_mode);
+      }
+      if (Object.values(RedactionMode).includes(message.data.redaction_mode)) {
+        setRedactionMode(message.data.redaction_mode);
+      }
+      if (hasAttentionEngine(message.data.attention_engine)) {
+        setAttentionEngine(message.data.attention_engine);
+      }
+      if (typeof message.data.identity_check === 'boolean') {
+        setIdentityCheck(message.data.identity_check);
+      }
+      if (message.data.detection_profile) {
+        setDetectionProfile(normalizeDetectionProfile(message.data.detection_profile));
+      }
+    });
+
+    ws.on('student_join', (message) => {
+      console.log('👋 Student joined:', message.data.student_name);
+      setStudents(prev => {
+        const exists = prev.some(s => s.id === message.data.student_id);
+        if (exists) return prev;
+        return [...prev, {
+          id: message.data.student_id,
+          name: message.data.student_name,
+          status: 'attentive',
+          last_update: message.data.timestamp,
+          alerts_count: 0,
+        }];
+      });
+    });
+
+    ws.on('student_leave', (message) => {
+      console.log('👋 Student left:', message.data.student_name);
+      setStudents(prev => prev.filter(s => s.id !== message.data.student_id));
+      setHistories(prev => (prev[message.data.student_id]
+        ? { ...prev, [message.data.student_id]: closeHistory(prev[message.data.student_id], Date.now()) }
+        : prev));
+      setAlerts(prev => prev.filter(a => a.student_id !== message.data.student_id));
+      releaseFrameUrl(message.data.student_id);
+      setStudentFrames(prev => {
+        const newFrames = { ...prev };
+        delete newFrames[message.data.student_id];
+        return newFrames;
+      });
+    });
+
+    ws.on('attention_update', (message) => {
+      console.log('📊 Attention update:', message.data.student_name, '→', message.data.status);
+      setHistories(prev => ({
+        ...prev,
+        [message.data.student_id]: recordStatus(
+          prev[message.data.student_id],
+          message.data.status,
+          toTimestamp(message.data.timestamp),
+          message.data.student_name
+        ),
+      }));
+      setStudents(prev => prev.map(student => {
+        if (student.id === message.data.student_id) {
+          return {
+            ...student,
+            status: message.data.status,
+            fatigued: Boolean(message.data.fatigued),
+            fatigue: message.data.fatigue || null,
+            detector: message.data.detector || student.detector || null,
+            last_update: message.data.timestamp,
+          };
+        }
+        return student;
+      }));
+    });
+
+    ws.on('attention_telemetry', (message) => {
+      setStudents(prev => prev.map(student => (student.id === message.data.student_id
+        ? { ...student, telemetry: message.data }
+        : student)));
+    });
 
-      case 'student_leave':
-        console.log('👋 Student left:', message.data.student_name);
-        setStudents(prev => prev.filter(s => s.id !== message.data.student_id));
-        setAlerts(prev => prev.filter(a => a.student_id !== message.data.student_id));
+    const imagesBlocked = (studentId) =>
+      roomPrivacyRef.current || privateStudentsRef.current.has(studentId);
+
+    ws.on('student_privacy', (message) => {
+      const { student_id, enabled } = message.data;
+      console.log(`🔒 Student ${student_id} privacy mode:`, enabled);
+      if (enabled) {
+        privateStudentsRef.current.add(student_id);
+        releaseFrameUrl(student_id);
         setStudentFrames(prev => {
           const newFrames = { ...prev };
-          delete newFrames[message.data.student_id];
+          delete newFrames[student_id];
           return newFrames;
         });
-        break;
-
-      case 'attention_update':
-        console.log('📊 Attention update:', message.data.student_name, '→', message.data.status);
-        setStudents(prev => prev.map(student => {
-          if (student.id === message.data.student_id) {
-            return {
-              ...student,
-              status: message.data.status,
-              last_update: message.data.timestamp,
-            };
-          }
-          return student;
-        }));
-        break;
-
-      case 'camera_frame':
-        setStudentFrames(prev => ({
-          ...prev,
-          [message.data.student_id]: message.data.frame
-        }));
-        break;
-
-      case 'alert':
-        console.log('🚨 ALERT RECEIVED:', message.data);
-        setAlerts(prev => {
-          const exists = prev.some(a => a.student_id === message.data.student_id);
-          if (exists) {
-            console.log('⚠️ Alert already exists, skipping duplicate');
-            return prev;
-          }
+      } else {
+        privateStudentsRef.current.delete(student_id);
+      }
+      setStudents(prev => prev.map(student =>
+        student.id === student_id ? { ...student, privacy: enabled } : student
+      ));
+    });
 
-          const newAlert = {
-            id: `${message.data.student_id}-${Date.now()}`,
-            student_id: message.data.student_id,
-            student_name: message.data.student_name,
-            alert_type: message.data.alert_type,
-            message: message.data.message,
-            severity: message.data.severity,
-            timestamp: message.data.timestamp,
-          };
+    ws.on('camera_frame', (message) => {
+      if (imagesBlocked(message.data.student_id)) return;
+      receiveMeterRef.current.record(message.data.frame.length);
+      releaseFrameUrl(message.data.student_id);
+      setStudentFrames(prev => ({
+        ...prev,
+        [message.data.student_id]: message.data.frame
+      }));
+    });
 
-          console.log('✅ NEW ALERT ADDED:', newAlert);
-          return [newAlert, ...prev].slice(0, MAX_ALERTS);
-        });
+    ws.onFrame((frame) => {
+      if (frame.kind !== FrameKind.STUDENT_CAMERA || imagesBlocked(frame.senderId)) return;
+      receiveMeterRef.current.record(frame.bytes.byteLength);
 
-        setStudents(prev => prev.map(student => {
-          if (student.id === message.data.student_id) {
-            return { ...student, alerts_count: (student.alerts_count || 0) + 1 };
-          }
-          return student;
-        }));
-        break;
-
-      case 'clear_alert':
-        console.log('✅ CLEAR ALERT:', message.data.student_id);
-        setAlerts(prev => prev.filter(a => a.student_id !== message.data.student_id));
-        break;
-
-      case 'chat_message':
-        setMessages(prev => [...prev, message.data]);
-        setTimeout(() => chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }), 100);
-        break;
-
-      default:
-        console.log('Unknown message type:', message.type);
-        break;
-    }
-  }, []);
+      // Frames can overtake each other across a reconnect; keep the newest
+      const previous = frameUrlsRef.current[frame.senderId];
+      if (previous && frame.timestamp < previous.timestamp) return;
 
-  useEffect(() => {
-    let mounted = true;
+      const url = URL.createObjectURL(new Blob([frame.bytes], { type: frame.mimeType }));
+      frameUrlsRef.current[frame.senderId] = { url, timestamp: frame.timestamp };
+      setStudentFrames(prev => ({ ...prev, [frame.senderId]: url }));
+      if (previous) URL.revokeObjectURL(previous.url);
+    });
 
-    const connectWebSocket = () => {
-      if (!mounted) return;
+    ws.on('alert', (message) => {
+      console.log('🚨 ALERT RECEIVED:', message.data);
+      setHistories(prev => ({
+        ...prev,
+        [message.data.student_id]: recordAlert(prev[message.data.student_id], toAlert(message.data)),
+      }));
+      setAlerts(prev => {
+        const exists = prev.some(a => a.student_id === message.data.student_id);
+        if (exists) {
+          console.log('⚠️ Alert already exists, skipping duplicate');
+          return prev;
+        }
 
-      console.log('🔌 Connecting teacher WebSocket...');
-      const wsUrl = `${WS_URL}/ws/teacher?name=Teacher`;
-      wsRef.current = new WebSocketManager(wsUrl, handleWebSocketMessage);
+        const newAlert = toAlert(message.data);
 
-      wsRef.current.connect()
-        .then(() => {
-          if (mounted) {
-            console.log('✅ Teacher connected');
-            setIsConnected(true);
-          }
-        })
-        .catch((err) => {
-          console.error('❌ Connection failed:', err);
-          if (mounted) {
-            setIsConnected(false);
-            reconnectTimeoutRef.current = setTimeout(connectWebSocket, 3000);
-          }
-        });
+        console.log('✅ NEW ALERT ADDED:', newAlert);
+        return [newAlert, ...prev].slice(0, MAX_ALERTS);
+      });
+
+      setStudents(prev => prev.map(student => {
+        if (student.id === message.data.student_id) {
+          return { ...student, alerts_count: (student.alerts_count || 0) + 1 };
+        }
+        return student;
+      }));
+    });
+
+    ws.on('clear_alert', (message) => {
+      console.log('✅ CLEAR ALERT:', message.data.student_id);
+      setAlerts(prev => prev.filter(a => a.student_id !== message.data.student_id));
+    });
+
+    ws.on('chat_message', (message) => {
+      setMessages(prev => [...prev, message.data]);
+      setTimeout(() => chatEndRef.current?.scrollIntoView({ behavior: 'smooth' }), 100);
+    });
+  }, [releaseFrameUrl]);
+
+  useEffect(() => {
+    const frameUrls = frameUrlsRef.current;
+    console.log('🔌 Connecting teacher WebSocket...');
+    sessionRef.current = loadTeacherSession();
+    saveTeacherSession(sessionRef.current);
+
+    // Rebuilt on every attempt so reconnects reclaim the room we were given
+    const buildUrl = () => {
+      const { roomId: room, token } = sessionRef.current;
+      const params = new URLSearchParams({ name: 'Teacher', token });
+      if (room) params.set('room', room);
+      return `${WS_URL}/ws/teacher?${params}`;
     };
+    const ws = new WebSocketManager(buildUrl, { binaryFrames: BINARY_FRAMES });
+    wsRef.current = ws;
+    subscribeToMessages(ws);
 
-    connectWebSocket();
+    ws.onStateChange((state) => {
+      setConnectionState(state);
+      if (state === ConnectionState.OPEN) {
+        console.log('✅ Teacher connected');
+      }
+    });
+
+    ws.connect().catch((err) => {
+      console.error('❌ Connection failed:', err);
+    });
 
     return () => {
-      mounted = false;
-      if (reconnectTimeoutRef.current) {
-        clearTimeout(reconnectTimeoutRef.current);
-      }
-      if (wsRef.current) {
-        wsRef.current.disconnect();
-      }
+      ws.disconnect();
+      Object.keys(frameUrls).forEach(releaseFrameUrl);
     };
-  }, [handleWebSocketMessage]);
+  }, [subscribeToMessages, releaseFrameUrl]);
+
+  // Report our receive rate so students can size their thumbnails
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const ws = wsRef.current;
+      if (!ws?.isConnected() || studentCountRef.current === 0) return;
+      ws.send('frame_feedback', {
+        receive_kbps: receiveMeterRef.current.kbps(),
+        max_kbps: estimateDownlinkKbps(),
+        student_count: studentCountRef.current,
+      });
+    }, FRAME_FEEDBACK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => () => clearTimeout(profileTimerRef.current), []);
+
+  useEffect(() => {
+    const interval = setInterval(() => setTimelineTick(tick => tick + 1), TIMELINE_TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Sample class engagement from the first student joining onwards
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const current = studentsRef.current;
+      setEngagement(prev => (prev.length === 0 && current.length === 0
+        ? prev
+        : appendSample(prev, sampleEngagement(current))));
+    }, ENGAGEMENT_SAMPLE_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const startSegment = (label) => {
+    console.log('🏷️ Lesson segment:', label);
+    setSegments(prev => [...prev, { label, start: Date.now() }]);
+  };
+
+  useEffect(() => {
+    studentsRef.current = students;
+    studentCountRef.current = students.length;
+    if (hdStudentId && !students.some(s => s.id === hdStudentId)) {
+      setHdStudentId(null);
+    }
+  }, [students, hdStudentId]);
 
   useEffect(() => {
     const total = students.length;
@@ -183,6 +406,60 @@ export default function TeacherPage() {
     setAlerts([]);
   };
 
+  const toggleRoomPrivacy = () => {
+    const enabled = !roomPrivacy;
+    roomPrivacyRef.current = enabled;
+    setRoomPrivacy(enabled);
+    wsRef.current?.send('privacy_mode', { enabled });
+
+    if (enabled) {
+      Object.keys(frameUrlsRef.current).forEach(releaseFrameUrl);
+      setStudentFrames({});
+      setHdStudentId(null);
+    }
+  };
+
+  const changeRedactionMode = (mode) => {
+    setRedactionMode(mode);
+    wsRef.current?.send('redaction_policy', { mode });
+  };
+
+  const toggleIdentityCheck = () => {
+    const enabled = !identityCheck;
+    setIdentityCheck(enabled);
+    wsRef.current?.send('identity_check', { enabled });
+  };
+
+  const changeAttentionEngine = (engine) => {
+    setAttentionEngine(engine);
+    wsRef.current?.send('attention_engine', { engine });
+  };
+
+  const changeDetectionProfile = (profile) => {
+    setDetectionProfile(profile);
+    clearTimeout(profileTimerRef.current);
+    profileTimerRef.current = setTimeout(() => {
+      console.log('🎚️ Detection profile:', profile.name, profile.settings);
+      wsRef.current?.send('detection_profile', profile);
+    }, PROFILE_SEND_DELAY);
+  };
+
+  // Only one student streams in HD at a time; everyone else stays adaptive
+  const toggleHdStream = (studentId) => {
+    const ws = wsRef.current;
+    if (!ws) return;
+
+    if (hdStudentId) {
+      ws.send('request_hd_stream', { student_id: hdStudentId, enabled: false });
+    }
+    if (hdStudentId === studentId) {
+      setHdStudentId(null);
+      return;
+    }
+    ws.send('request_hd_stream', { student_id: studentId, enabled: true });
+    setHdStudentId(studentId);
+  };
+
   const copyRoomCode = () => {
     if (roomId) {
       navigator.clipboard.writeText(roomId);
@@ -190,12 +467,25 @@ export default function TeacherPage() {
     }
   };
 
+  const trackDelivery = (receipt) => {
+    if (receipt.status !== DeliveryStatus.QUEUED) return;
+    setPendingMessages(prev => prev + 1);
+    receipt.settled.then((status) => {
+      setPendingMessages(prev => Math.max(0, prev - 1));
+      // Expired in the outbox or pushed out of a full one
+      if (status === DeliveryStatus.DROPPED) setChatError('Message could not be sent');
+    });
+  };
+
   const sendMessage = () => {
-    if (messageInput.trim() && wsRef.current?.isConnected()) {
-      wsRef.current.send({
-        type: 'chat_message',
-        message: messageInput.trim()
-      });
+    if (messageInput.trim() && wsRef.current) {
+      const receipt = wsRef.current.send('chat_message', { message: messageInput.trim() });
+      if (receipt.status === DeliveryStatus.DROPPED || receipt.status === DeliveryStatus.INVALID) {
+        setChatError('Message could not be sent');
+        return;
+      }
+      setChatError('');
+      trackDelivery(receipt);
       setMessageInput('');
     }
   };
@@ -203,6 +493,12 @@ export default function TeacherPage() {
   const handleLeaveClass = () => {
     if (window.confirm('End class for all students?')) {
       if (wsRef.current) wsRef.current.disconnect();
+      clearTeacherSession();
+      // The session data only lives in this page; offer the report before it goes
+      if (Object.keys(histories).length > 0 || messages.length > 0 || engagement.length > 0) {
+        setSessionReport({ report: buildReport(), leaving: true });
+        return;
+      }
       navigate('/');
     }
   };
@@ -211,15 +507,49 @@ export default function TeacherPage() {
     const icons = {
       attentive: '✓',
       looking_away: '👀',
+      distracted: '📱',
+      multiple_faces: '👥',
+      different_person: '🪪',
       drowsy: '😴',
       no_face: '❌',
     };
     return icons[status] || '○';
   };
 
-  const getSeverityIcon = (severity) => {
-    const icons = { low: 'ℹ️', medium: '⚠️', high: '🚨' };
-    return icons[severity] || 'ℹ️';
+  // Every timeline shares the same scale: first recorded status to now
+  const now = Date.now();
+  const timelineStart = Object.values(histories)
+    .reduce((earliest, history) => Math.min(earliest, history.spans[0]?.from ?? earliest), now);
+
+  const engagementStart = Math.min(now, engagement[0]?.timestamp ?? now, segments[0]?.start ?? now);
+  const engagementMarkers = [
+    ...messages.map(msg => ({
+      timestamp: toTimestamp(msg.timestamp),
+      type: 'chat',
+      label: `${msg.user_name}: ${msg.message}`,
+    })),
+    ...Object.values(histories).flatMap(history => history.alerts.map(alert => ({
+      timestamp: toTimestamp(alert.timestamp),
+      type: 'alert',
+      label: `${alert.student_name}: ${alert.message}`,
+    }))),
+  ].filter(marker => marker.timestamp >= engagementStart);
+
+  const buildReport = () => buildSessionReport({
+    roomId,
+    students,
+    histories,
+    messages,
+    engagement,
+    segments,
+    start: Math.min(timelineStart, engagementStart),
+    end: Date.now(),
+  });
+
+  const fatigueTitle = (fatigue) => {
+    if (!fatigue) return 'Showing signs of fatigue';
+    const blinks = fatigue.blink_rate === null ? '' : `, ${fatigue.blink_rate} blinks/min`;
+    return `Fatigue ${Math.round(fatigue.score * 100)}%: eyes closed ${Math.round(fatigue.perclos * 100)}% of the last minute, ${fatigue.yawns} yawn(s) in 5 min${blinks}`;
   };
 
   return (
@@ -253,16 +583,10 @@ export default function TeacherPage() {
           </div>
 
           <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
-            <div style={{
-              padding: '6px 14px',
-              backgroundColor: isConnected ? '#dcfce7' : '#fee2e2',
-              borderRadius: '16px',
-              fontSize: '13px',
-              fontWeight: '500',
-              color: isConnected ? '#166534' : '#991b1b',
-            }}>
-              ● {isConnected ? 'Connected' : 'Reconnecting...'}
-            </div>
+            <ConnectionStatus
+              state={connectionState}
+              onRetry={() => wsRef.current?.reconnect()}
+            />
 
             {roomId && (
               <div style={{
@@ -295,6 +619,98 @@ export default function TeacherPage() {
               </div>
             )}
 
+            <select
+              value={redactionMode}
+              onChange={(e) => changeRedactionMode(e.target.value)}
+              disabled={roomPrivacy}
+              title="Blur or pixelate student frames on their device before they are sent"
+              style={{
+                padding: '7px 10px',
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px',
+                fontSize: '13px',
+                fontWeight: '600',
+                color: '#374151',
+                backgroundColor: 'white',
+                cursor: roomPrivacy ? 'not-allowed' : 'pointer',
+              }}
+            >
+              {Object.values(RedactionMode).map((mode) => (
+                <option key={mode} value={mode}>🫥 {REDACTION_LABELS[mode]}</option>
+              ))}
+            </select>
+
+            <select
+              value={attentionEngine}
+              onChange={(e) => changeAttentionEngine(e.target.value)}
+              title="How strictly students' devices classify attention"
+              style={{
+                padding: '7px 10px',
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px',
+                fontSize: '13px',
+                fontWeight: '600',
+                color: '#374151',
+                backgroundColor: 'white',
+                cursor: 'pointer',
+              }}
+            >
+              {getAttentionEngines().map(({ name, label, description }) => (
+                <option key={name} value={name} title={description}>🧮 {label}</option>
+              ))}
+            </select>
+
+            <button
+              onClick={() => setShowDetectionProfile(!showDetectionProfile)}
+              title="How much head movement counts as inattentive, for the current activity"
+              style={{
+                padding: '8px 16px',
+                backgroundColor: showDetectionProfile ? '#1d4ed8' : '#3b82f6',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '13px',
+                fontWeight: '600',
+              }}
+            >
+              🎚️ Detection: {getDetectionProfileLabel(detectionProfile)}
+            </button>
+
+            <button
+              onClick={toggleIdentityCheck}
+              title="Flag extra people in view or a different person at the desk. Checked on each student's device; no face data is sent."
+              style={{
+                padding: '8px 16px',
+                backgroundColor: identityCheck ? '#be123c' : '#6b7280',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '13px',
+                fontWeight: '600',
+              }}
+            >
+              🪪 Identity Check: {identityCheck ? 'On' : 'Off'}
+            </button>
+
+            <button
+              onClick={toggleRoomPrivacy}
+              title="When on, students share only their attention status, never camera images"
+              style={{
+                padding: '8px 16px',
+                backgroundColor: roomPrivacy ? '#8b5cf6' : '#6b7280',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '13px',
+                fontWeight: '600',
+              }}
+            >
+              🔒 Privacy Mode: {roomPrivacy ? 'On' : 'Off'}
+            </button>
+
             <button
               onClick={() => setShowChat(!showChat)}
               style={{
@@ -311,6 +727,23 @@ export default function TeacherPage() {
               💬 Chat {messages.length > 0 && `(${messages.length})`}
             </button>
 
+            <button
+              onClick={() => setSessionReport({ report: buildReport(), leaving: false })}
+              title="Download attendance, attention and chat for this session"
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#f3f4f6',
+                color: '#374151',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '13px',
+                fontWeight: '600',
+              }}
+            >
+              📄 Report
+            </button>
+
             <button
               onClick={handleLeaveClass}
               style={{
@@ -330,6 +763,14 @@ export default function TeacherPage() {
         </div>
       </div>
 
+      {showDetectionProfile && (
+        <DetectionProfilePanel
+          profile={detectionProfile}
+          onChange={changeDetectionProfile}
+          onClose={() => setShowDetectionProfile(false)}
+        />
+      )}
+
       {/* Stats Cards */}
       <div style={{
         display: 'grid',
@@ -394,6 +835,32 @@ export default function TeacherPage() {
         </div>
       </div>
 
+      <EngagementChart
+        samples={engagement}
+        segments={segments}
+        markers={engagementMarkers}
+        start={engagementStart}
+        end={now}
+        onStartSegment={startSegment}
+      />
+
+      {sessionReport && (
+        <SessionReport
+          report={sessionReport.report}
+          onClose={() => setSessionReport(null)}
+          onLeave={sessionReport.leaving ? () => navigate('/') : undefined}
+        />
+      )}
+
+      {historyStudentId && histories[historyStudentId] && (
+        <StudentHistory
+          history={histories[historyStudentId]}
+          start={timelineStart}
+          now={now}
+          onClose={() => setHistoryStudentId(null)}
+        />
+      )}
+
       {/* Chat Sidebar */}
       {showChat && (
         <div style={{
@@ -465,11 +932,26 @@ export default function TeacherPage() {
             <div ref={chatEndRef} />
           </div>
 
+          {pendingMessages > 0 && (
+            <div style={{ padding: '8px 16px 0', fontSize: '12px', color: '#92400e' }}>
+              ⏳ {pendingMessages} message{pendingMessages > 1 ? 's' : ''} will be sent when reconnected
+            </div>
+          )}
+
+          {chatError && (
+            <div style={{ padding: '8px 16px 0', fontSize: '12px', color: '#b91c1c' }}>
+              ⚠️ {chatError}
+            </div>
+          )}
+
           <div style={{ padding: '16px', borderTop: '1px solid #e5e7eb', display: 'flex', gap: '8px' }}>
             <input
               type="text"
               value={messageInput}
-              onChange={(e) => setMessageInput(e.target.value)}
+              onChange={(e) => {
+                setMessageInput(e.target.value);
+                setChatError('');
+              }}
               onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
               placeholder="Type a message..."
               style={{
@@ -552,24 +1034,76 @@ export default function TeacherPage() {
                 >
                   <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                     <div>
-                      <div style={{ fontSize: '14px', fontWeight: '600', color: '#111827' }}>
+                      <div
+                        onClick={() => setHistoryStudentId(student.id)}
+                        title="Show this student's full history and alerts"
+                        style={{ fontSize: '14px', fontWeight: '600', color: '#111827', cursor: 'pointer' }}
+                      >
                         {student.name}
                       </div>
                       <div style={{ fontSize: '10px', color: '#9ca3af', marginTop: '2px' }}>
                         {formatTimeAgoIST(student.last_update)}
+                        {student.fatigued && (
+                          <span
+                            title={fatigueTitle(student.fatigue)}
+                            style={{ marginLeft: '6px', color: '#b45309', fontWeight: '600' }}
+                          >
+                            🥱 Tired
+                          </span>
+                        )}
+                        {student.detector && student.detector !== 'face_mesh' && (
+                          <span
+                            title={getDetectorInfo(student.detector).description}
+                            style={{ marginLeft: '6px', color: student.detector === 'none' ? '#b91c1c' : '#6b7280', fontWeight: '600' }}
+                          >
+                            {student.detector === 'none' ? '⚠️' : '🔍'} {getDetectorInfo(student.detector).label}
+                          </span>
+                        )}
+                        {identityCheck && getIdentityCheckLimit(student.detector) && (
+                          <span
+                            title={`Identity check on this device: ${getIdentityCheckLimit(student.detector)}`}
+                            style={{ marginLeft: '6px', color: '#be123c', fontWeight: '600' }}
+                          >
+                            🪪 {student.detector === 'none' ? 'No identity check' : 'Extra faces only'}
+                          </span>
+                        )}
                       </div>
                     </div>
-                    <div style={{
-                      padding: '6px 12px',
-                      backgroundColor: getStatusColor(student.status),
-                      color: 'white',
-                      borderRadius: '8px',
-                      fontSize: '12px',
-                      fontWeight: '600',
-                    }}>
-                      {getStatusIcon(student.status)} {getStatusLabel(student.status)}
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      <button
+                        onClick={() => setExplainStudentId(explainStudentId === student.id ? null : student.id)}
+                        title="Why is this student flagged?"
+                        style={{
+                          padding: '4px 8px',
+                          backgroundColor: explainStudentId === student.id ? '#e5e7eb' : 'transparent',
+                          color: '#6b7280',
+                          border: '1px solid #e5e7eb',
+                          borderRadius: '6px',
+                          cursor: 'pointer',
+                          fontSize: '11px',
+                          fontWeight: '600',
+                        }}
+                      >
+                        ❔ Why
+                      </button>
+                      <div style={{
+                        padding: '6px 12px',
+                        backgroundColor: getStatusColor(student.status),
+                        color: 'white',
+                        borderRadius: '8px',
+                        fontSize: '12px',
+                        fontWeight: '600',
+                      }}>
+                        {getStatusIcon(student.status)} {getStatusLabel(student.status)}
+                      </div>
                     </div>
                   </div>
+                  {histories[student.id] && (
+                    <div onClick={() => setHistoryStudentId(student.id)} style={{ marginTop: '10px', cursor: 'pointer' }}>
+                      <AttentionTimeline spans={histories[student.id].spans} start={timelineStart} end={now} />
+                    </div>
+                  )}
+                  {explainStudentId === student.id && <StudentTelemetry telemetry={student.telemetry} />}
                 </div>
               ))}
             </div>
@@ -658,8 +1192,8 @@ export default function TeacherPage() {
                   style={{
                     padding: '12px',
                     backgroundColor: '#fef3c7',
-                    border: `2px solid ${ALERT_SEVERITY_COLORS[alert.severity]}`,
-                    borderLeft: `4px solid ${ALERT_SEVERITY_COLORS[alert.severity]}`,
+                    border: `2px solid ${getSeverityColor(alert.severity)}`,
+                    borderLeft: `4px solid ${getSeverityColor(alert.severity)}`,
                     borderRadius: '8px',
                   }}
                 >
@@ -733,7 +1267,38 @@ export default function TeacherPage() {
                   padding: '10px',
                 }}
               >
-                {studentFrames[student.id] ? (
+                {roomPrivacy || student.privacy ? (
+                  <div style={{
+                    width: '100%',
+                    height: '180px',
+                    background: '#e5e7eb',
+                    borderRadius: '8px',
+                    marginBottom: '10px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    color: '#4b5563',
+                  }}>
+                    <div style={{ textAlign: 'center' }}>
+                      <div style={{
+                        width: '64px',
+                        height: '64px',
+                        margin: '0 auto 8px',
+                        borderRadius: '50%',
+                        backgroundColor: '#9ca3af',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        color: 'white',
+                        fontSize: '28px',
+                        fontWeight: 'bold',
+                      }}>
+                        {student.name.charAt(0).toUpperCase()}
+                      </div>
+                      <div style={{ fontSize: '11px', fontWeight: '600' }}>🔒 Privacy mode - status only</div>
+                    </div>
+                  </div>
+                ) : studentFrames[student.id] ? (
                   <div style={{ position: 'relative' }}>
                     <img
                       src={studentFrames[student.id]}
@@ -759,6 +1324,25 @@ export default function TeacherPage() {
                     }}>
                       ● LIVE
                     </div>
+                    <button
+                      onClick={() => toggleHdStream(student.id)}
+                      title={hdStudentId === student.id ? 'Back to normal quality' : 'View this student in high resolution'}
+                      style={{
+                        position: 'absolute',
+                        top: '8px',
+                        right: '8px',
+                        padding: '3px 8px',
+                        backgroundColor: hdStudentId === student.id ? '#8b5cf6' : 'rgba(0, 0, 0, 0.6)',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        fontSize: '10px',
+                        fontWeight: '600',
+                      }}
+                    >
+                      🔍 HD
+                    </button>
                   </div>
                 ) : (
                   <div style={{
@@ -787,6 +1371,14 @@ export default function TeacherPage() {
                   textAlign: 'center',
                 }}>
                   {student.name}
+                  {student.fatigued && (
+                    <span title={fatigueTitle(student.fatigue)} style={{ marginLeft: '6px' }}>🥱</span>
+                  )}
+                  {student.detector && student.detector !== 'face_mesh' && (
+                    <span title={getDetectorInfo(student.detector).description} style={{ marginLeft: '6px' }}>
+                      {student.detector === 'none' ? '⚠️' : '🔍'}
+                    </span>
+                  )}
                 </div>
 
                 <div style={{
@@ -0,0 +1,275 @@
+// Attention engines turn per-frame face features into an attention status.
+//
+// An engine is any object with:
+//   analyze(features) -> { status, confidence, reasons, rule?, fatigue? }
+//       features is extractAttentionFeatures() output, or null when no face
+//       was found; engines must time things by features.timestamp, not
+//       by frame counts. status is one of ATTENTION_STATUSES and reasons is
+//       a list of short human-readable strings explaining the decision.
+//       rule names the check that decided it (see getRuleLabel in
+//       detection.js). fatigue, if the engine tracks it, is a
+//       FatigueMonitor summary.
+//   setThresholds(thresholds) - apply new (e.g. calibrated) thresholds
+//   reset() - forget all history
+//
+// Engines are registered by name so a room can switch classifier without
+// touching StudentCamera.
+
+import { DEFAULT_THRESHOLDS } from './calibration';
+import { SlidingWindow, FrameRateEstimator } from './slidingWindow';
+import { FatigueMonitor } from './fatigue';
+
+export const DEFAULT_ATTENTION_ENGINE = 'rules';
+
+const engines = new Map();
+
+/**
+ * Register an attention engine.
+ * @param {string} name - id sent over the wire in attention_engine messages
+ * @param {object} entry - { label, description, create(thresholds) }
+ */
+export const registerAttentionEngine = (name, { label, description = '', create }) => {
+  engines.set(name, { name, label: label || name, description, create });
+};
+
+/**
+ * Registered engines for pickers: [{ name, label, description }].
+ */
+export const getAttentionEngines = () =>
+  [...engines.values()].map(({ name, label, description }) => ({ name, label, description }));
+
+export const hasAttentionEngine = (name) => engines.has(name);
+
+/**
+ * Instantiate an engine by name, falling back to the default for unknown
+ * names so an older client never stops classifying.
+ */
+export const createAttentionEngine = (name, thresholds = DEFAULT_THRESHOLDS) => {
+  if (!engines.has(name)) {
+    console.warn(`⚠️ Unknown attention engine "${name}", using "${DEFAULT_ATTENTION_ENGINE}"`);
+  }
+  const entry = engines.get(name) || engines.get(DEFAULT_ATTENTION_ENGINE);
+  return entry.create(thresholds);
+};
+
+// A condition "holds" when it's true for this share of the window's samples,
+// so one noisy frame (a blink, a landmark glitch) doesn't reset the clock
+const HOLD_RATIO = 0.8;
+// Don't decide anything from fewer samples than this, however slow the device
+const MIN_WINDOW_SAMPLES = 3;
+// Decisions from a basic detector (features.detector other than
+// 'face_mesh') only rest on face presence and head turn
+const BASIC_DETECTOR_CONFIDENCE = 0.6;
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+/**
+ * The original rule set: eye closure first, then head turn, each of which
+ * must hold over a time window before the status changes. `sensitivity.angle`
+ * scales the head-turn limits and `sensitivity.time` scales the windows.
+ */
+export class RuleBasedEngine {
+  constructor(thresholds = DEFAULT_THRESHOLDS, sensitivity = { angle: 1, time: 1 }) {
+    this.sensitivity = sensitivity;
+    this.window = new SlidingWindow(0);
+    this.frameRate = new FrameRateEstimator();
+    this.fatigue = new FatigueMonitor(DEFAULT_THRESHOLDS);
+    this.setThresholds(thresholds);
+    this.reset();
+  }
+
+  setThresholds(thresholds) {
+    const { angle, time } = this.sensitivity;
+    // Merge so thresholds saved by an older calibration still get new keys
+    const base = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.thresholds = {
+      ...base,
+      HEAD_YAW_EXTREME: base.HEAD_YAW_EXTREME * angle,
+      HEAD_YAW_MODERATE: base.HEAD_YAW_MODERATE * angle,
+      HEAD_PITCH_DOWN: base.HEAD_PITCH_DOWN * angle,
+      HEAD_PITCH_UP: base.HEAD_PITCH_UP * angle,
+      GAZE_YAW_LIMIT: base.GAZE_YAW_LIMIT * angle,
+      GAZE_PITCH_DOWN: base.GAZE_PITCH_DOWN * angle,
+      GAZE_PITCH_UP: base.GAZE_PITCH_UP * angle,
+      DROWSY_MS: base.DROWSY_MS * time,
+      LOOKING_AWAY_MS: base.LOOKING_AWAY_MS * time,
+      DISTRACTED_MS: base.DISTRACTED_MS * time,
+      ATTENTIVE_MS: base.ATTENTIVE_MS * time,
+    };
+    this.window.spanMs = Math.max(
+      this.thresholds.DROWSY_MS,
+      this.thresholds.LOOKING_AWAY_MS,
+      this.thresholds.DISTRACTED_MS,
+      this.thresholds.ATTENTIVE_MS
+    );
+    this.fatigue.setThresholds(this.thresholds);
+  }
+
+  reset() {
+    this.status = 'attentive';
+    this.eyesClosed = false;
+    this.window.clear();
+    this.frameRate.reset();
+    this.fatigue.reset();
+    this.lastTimestamp = null;
+  }
+
+  /**
+   * Current detection rate, for display and diagnostics.
+   */
+  get fps() {
+    return this.frameRate.fps;
+  }
+
+  analyze(features) {
+    const result = features
+      ? this.classify(features)
+      : { status: 'no_face', confidence: 0, reasons: ['No face detected'], rule: 'no_face' };
+
+    const fatigue = this.fatigue.summary(features?.timestamp ?? this.lastTimestamp ?? Date.now());
+    if (fatigue.fatigued && features) {
+      const blinks = fatigue.blink_rate === null ? '' : `, ${fatigue.blink_rate} blinks/min`;
+      result.reasons.push(`Tired: eyes closed ${Math.round(fatigue.perclos * 100)}% of the last minute, ${fatigue.yawns} yawn(s)${blinks}`);
+    }
+
+    if (features?.detector && features.detector !== 'face_mesh') {
+      result.confidence = Math.round(result.confidence * BASIC_DETECTOR_CONFIDENCE * 100) / 100;
+    }
+
+    this.status = result.status;
+    return { ...result, fatigue };
+  }
+
+  classify({ eye_aspect_ratio, mouth_aspect_ratio, head_pose, gaze_direction, timestamp }) {
+    const T = this.thresholds;
+    const now = timestamp ?? Date.now();
+    this.lastTimestamp = now;
+    this.frameRate.record(now);
+
+    // Between EYE_CLOSED and EYE_OPEN the eyes keep their previous state.
+    // Basic detectors (BlazeFace) don't see the eyes or pitch at all.
+    const hasEyes = typeof eye_aspect_ratio === 'number';
+    const closed = hasEyes && (eye_aspect_ratio < T.EYE_CLOSED
+      || (eye_aspect_ratio <= T.EYE_OPEN && this.eyesClosed));
+    this.eyesClosed = closed;
+    this.fatigue.update({ mouth_aspect_ratio, timestamp: now }, closed);
+    const fatigueScore = this.fatigue.summary(now).score;
+
+    // Head turn, relative to the calibrated resting pose. Pitch keeps its
+    // sign (positive is down) since up and down have separate limits.
+    const yaw = Math.round(Math.abs(head_pose.yaw - T.YAW_OFFSET));
+    const pitch = typeof head_pose.pitch === 'number'
+      ? Math.round(head_pose.pitch - T.PITCH_OFFSET)
+      : 0;
+    const isProfileView = yaw > T.HEAD_YAW_EXTREME;
+    const isModeratelyTurned = yaw > T.HEAD_YAW_MODERATE;
+    const isLookingUpOrDown = pitch > T.HEAD_PITCH_DOWN || -pitch > T.HEAD_PITCH_UP;
+    const away = isProfileView || (isModeratelyTurned && isLookingUpOrDown);
+
+    // Eyes off the screen even though the head may face it. Pitch is signed:
+    // looking down at a phone is more common than looking up.
+    const gazeYaw = gaze_direction ? Math.round(gaze_direction.yaw - T.GAZE_YAW_OFFSET) : 0;
+    const gazePitch = gaze_direction ? Math.round(gaze_direction.pitch - T.GAZE_PITCH_OFFSET) : 0;
+    const offScreen = Boolean(gaze_direction) && (
+      Math.abs(gazeYaw) > T.GAZE_YAW_LIMIT
+      || gazePitch > T.GAZE_PITCH_DOWN
+      || -gazePitch > T.GAZE_PITCH_UP
+    );
+
+    this.window.push(now, { closed, away, offScreen });
+
+    const options = { frameMs: this.frameRate.intervalMs || 0, minSamples: MIN_WINDOW_SAMPLES };
+    const holds = (predicate, durationMs) =>
+      this.window.fraction(predicate, durationMs, now, options) >= HOLD_RATIO;
+
+    // PRIORITY 1: Drowsiness
+    if (closed) {
+      const closedFor = this.window.heldFor(sample => sample.closed);
+      if (holds(sample => sample.closed, T.DROWSY_MS)) {
+        return {
+          status: 'drowsy',
+          // Eyes shut in an already tired student is a surer sign of sleep
+          confidence: Math.round((0.8 + 0.2 * fatigueScore) * 100) / 100,
+          reasons: [`Eyes closed for most of the last ${seconds(T.DROWSY_MS)} (EAR ${eye_aspect_ratio.toFixed(3)} < ${T.EYE_CLOSED})`],
+          rule: 'eyes_closed',
+        };
+      }
+      return {
+        status: this.status,
+        confidence: Math.round((0.6 + 0.3 * fatigueScore) * 100) / 100,
+        reasons: [`Eyes closing (${seconds(closedFor)}/${seconds(T.DROWSY_MS)})`],
+        rule: 'eyes_closed',
+      };
+    }
+
+    // PRIORITY 2: Looking away
+    if (away) {
+      const turn = isProfileView
+        ? `Head turned ${yaw}° (limit ${Math.round(T.HEAD_YAW_EXTREME)}°)`
+        : `Head turned ${yaw}° and tilted ${Math.abs(pitch)}° ${pitch > 0 ? 'down' : 'up'}`;
+
+      if (holds(sample => sample.away, T.LOOKING_AWAY_MS)) {
+        return { status: 'looking_away', confidence: 0.90, reasons: [turn], rule: 'head_turned' };
+      }
+      const awayFor = this.window.heldFor(sample => sample.away);
+      return {
+        status: this.status,
+        confidence: 0.75,
+        reasons: [`${turn} (${seconds(awayFor)}/${seconds(T.LOOKING_AWAY_MS)})`],
+        rule: 'head_turned',
+      };
+    }
+
+    // PRIORITY 3: Distracted - facing the screen but looking elsewhere
+    if (offScreen) {
+      const gaze = `Eyes off screen (gaze ${gazeYaw}° across, ${gazePitch}° down; head ${yaw}°)`;
+
+      if (holds(sample => sample.offScreen && !sample.away, T.DISTRACTED_MS)) {
+        return { status: 'distracted', confidence: 0.80, reasons: [gaze], rule: 'gaze_off_screen' };
+      }
+      const offFor = this.window.heldFor(sample => sample.offScreen);
+      return {
+        status: this.status,
+        confidence: 0.75,
+        reasons: [`${gaze} (${seconds(offFor)}/${seconds(T.DISTRACTED_MS)})`],
+        rule: 'gaze_off_screen',
+      };
+    }
+
+    // PRIORITY 4: Attentive
+    const isFocused = sample => !sample.closed && !sample.away && !sample.offScreen;
+    if (holds(isFocused, T.ATTENTIVE_MS)) {
+      return {
+        status: 'attentive',
+        confidence: 0.95,
+        reasons: [hasEyes ? 'Facing the screen with eyes open' : 'Facing the screen'],
+        rule: 'focused',
+      };
+    }
+    const focusedFor = this.window.heldFor(isFocused);
+    return {
+      status: this.status,
+      confidence: 0.80,
+      reasons: [`Returning to attentive (${seconds(focusedFor)}/${seconds(T.ATTENTIVE_MS)})`],
+      rule: 'focused',
+    };
+  }
+}
+
+registerAttentionEngine('rules', {
+  label: 'Standard',
+  description: 'Default eye-closure, head-turn and gaze rules',
+  create: (thresholds) => new RuleBasedEngine(thresholds),
+});
+
+registerAttentionEngine('strict', {
+  label: 'Strict',
+  description: 'Flags smaller head turns, sooner',
+  create: (thresholds) => new RuleBasedEngine(thresholds, { angle: 0.75, time: 0.5 }),
+});
+
+registerAttentionEngine('lenient', {
+  label: 'Lenient',
+  description: 'Allows bigger head turns for longer (e.g. note taking)',
+  create: (thresholds) => new RuleBasedEngine(thresholds, { angle: 1.4, time: 2 }),
+});
@@ -0,0 +1,180 @@
+// BlazeFace fallback for devices where Face Mesh can't load (blocked assets,
+// no WebAssembly SIMD, old GPUs). BlazeFace only finds face boxes plus six
+// keypoints, so it tells us whether a face is there and roughly how far the
+// head is turned - no eye closure, pitch or gaze. Runs on the tfjs WASM
+// backend, or plain CPU where WASM isn't available. The model is served by
+// the app itself like the Face Mesh files (models/blazeface/), so nothing is
+// fetched from tfhub.dev.
+
+import { MEDIAPIPE_ASSETS } from 'virtual:mediapipe-assets';
+import { verifyFile } from './mediapipe';
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+
+const BACKENDS = ['wasm', 'cpu'];
+
+const MODEL = MEDIAPIPE_ASSETS.blazeface;
+
+// Nose tip depth in front of the eyes relative to the eye span (see the
+// canonical face in headPose.js): the nose drifts off the eye midpoint by
+// this ratio times tan(yaw)
+const NOSE_DEPTH_RATIO = 0.3;
+const RAD_TO_DEG = 180 / Math.PI;
+
+let modelPromise = null;
+
+// A tfjs IOHandler over the SRI-checked model files, so loadGraphModel never
+// fetches anything itself
+async function verifiedModel(tf) {
+    const artifacts = JSON.parse(new TextDecoder().decode(await verifyFile(MODEL, 'model.json')));
+    const groups = artifacts.weightsManifest;
+    const shards = await Promise.all(groups.flatMap(group => group.paths).map(file => verifyFile(MODEL, file)));
+
+    return tf.io.fromMemory({
+        ...artifacts,
+        weightSpecs: groups.flatMap(group => group.weights),
+        weightData: tf.io.concatenateArrayBuffers(shards)
+    });
+}
+
+async function loadBlazeFace() {
+    const [tf, blazeface, wasm] = await Promise.all([
+        import('@tensorflow/tfjs'),
+        import('@tensorflow-models/blazeface'),
+        import('@tensorflow/tfjs-backend-wasm')
+    ]);
+
+    wasm.setWasmPaths({
+        'tfjs-backend-wasm.wasm': wasmUrl,
+        'tfjs-backend-wasm-simd.wasm': wasmSimdUrl,
+        'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdUrl
+    });
+
+    let backend = null;
+    for (const name of BACKENDS) {
+        try {
+            if (await tf.setBackend(name)) {
+                backend = name;
+                break;
+            }
+        } catch (error) {
+            console.warn(`⚠️ tfjs ${name} backend unavailable:`, error.message);
+        }
+    }
+    if (!backend) {
+        throw new Error('No tfjs backend could start on this device');
+    }
+    await tf.ready();
+
+    let model;
+    try {
+        model = await blazeface.load({ maxFaces: 2, modelUrl: await verifiedModel(tf) });
+    } catch (error) {
+        throw new Error(`BlazeFace model unavailable, face detection is off (${error.message})`);
+    }
+    console.log(`✅ BlazeFace loaded on the ${backend} backend`);
+    return { model, backend };
+}
+
+/**
+ * Load the BlazeFace model (once; a failed load is retried on the next call).
+ * Works on a page or in a worker.
+ * @returns {Promise<{ model: object, backend: string }>}
+ */
+export function loadBlazeFaceModel() {
+    if (!modelPromise) {
+        modelPromise = loadBlazeFace().catch((error) => {
+            modelPromise = null;
+            throw error;
+        });
+    }
+    return modelPromise;
+}
+
+/**
+ * Start BlazeFace on a video element, on the main thread.
+ * @param {function} onResults - called with (faces, { width, height }) after
+ *   every detection; faces is BlazeFace's estimateFaces() output
+ * @param {object} throttle - AdaptiveThrottle (utils/cpuBudget) pacing detections
+ * @returns {Promise<{ backend: string, stop: function }>}
+ */
+export async function initializeBlazeFace(videoElement, onResults, throttle) {
+    const { model, backend } = await loadBlazeFaceModel();
+
+    let stopped = false;
+    let timer = null;
+
+    const detect = async () => {
+        if (stopped) return;
+        throttle.due();
+        const start = performance.now();
+        try {
+            const faces = await model.estimateFaces(videoElement, false);
+            if (!stopped) {
+                onResults(faces, { width: videoElement.videoWidth || 640, height: videoElement.videoHeight || 480 });
+            }
+        } catch (error) {
+            console.error('BlazeFace detection error:', error);
+        }
+        throttle.record(performance.now() - start);
+        if (!stopped) {
+            timer = setTimeout(detect, throttle.delay());
+        }
+    };
+    detect();
+
+    return {
+        backend,
+        stop: () => {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+const boxArea = (face) => (face.bottomRight[0] - face.topLeft[0]) * (face.bottomRight[1] - face.topLeft[1]);
+
+/**
+ * The face closest to the camera (largest box), or null if none.
+ */
+export function getPrimaryBlazeFace(faces) {
+    if (!faces || faces.length === 0) return null;
+    return faces.reduce((best, face) => (boxArea(face) > boxArea(best) ? face : best));
+}
+
+/**
+ * Attention features from BlazeFace output, in the same shape as
+ * extractAttentionFeatures() so any attention engine can use them. Only
+ * presence, yaw and roll are known; the rest is null.
+ */
+export function extractBlazeFaceFeatures(faces, { timestamp = Date.now() } = {}) {
+    const face = getPrimaryBlazeFace(faces);
+    if (!face || !face.landmarks) return null;
+
+    // Keypoints: two eyes, nose, mouth, two ears (pixel coordinates)
+    const [eyeA, eyeB, nose] = face.landmarks;
+    const [left, right] = eyeA[0] < eyeB[0] ? [eyeA, eyeB] : [eyeB, eyeA];
+
+    const axisX = right[0] - left[0];
+    const axisY = right[1] - left[1];
+    const span = Math.hypot(axisX, axisY) || 1e-6;
+    const midX = (left[0] + right[0]) / 2;
+    const midY = (left[1] + right[1]) / 2;
+
+    // Nose offset along the eye line, in eye spans
+    const along = ((nose[0] - midX) * axisX + (nose[1] - midY) * axisY) / (span * span);
+
+    return {
+        eye_aspect_ratio: null,
+        mouth_aspect_ratio: null,
+        gaze_direction: null,
+        head_pose: {
+            yaw: Math.round(Math.atan(along / NOSE_DEPTH_RATIO) * RAD_TO_DEG * 10) / 10,
+            pitch: null,
+            roll: Math.round(Math.atan2(-axisY, axisX) * RAD_TO_DEG * 10) / 10
+        },
+        detector: 'blazeface',
+        timestamp: timestamp
+    };
+}
@@ -0,0 +1,122 @@
+// Per-student calibration of attention thresholds. The defaults are tuned for
+// an "average" face and webcam; glasses, narrow eyes and off-center cameras
+// shift the baseline EAR and head pose enough to cause constant false alerts.
+
+export const DEFAULT_THRESHOLDS = {
+  // Eye Detection (for drowsiness)
+  EYE_CLOSED: 0.10,        // Eyes must be REALLY closed
+  EYE_OPEN: 0.18,          // Clear threshold for open eyes
+  DROWSY_MS: 4000,         // 4 seconds of closed eyes = drowsy
+
+  // Head Pose Detection (for looking away)
+  HEAD_YAW_EXTREME: 25,    // Profile view = looking away
+  HEAD_YAW_MODERATE: 15,   // Moderate turn
+  HEAD_PITCH_DOWN: 20,     // Looking down threshold
+  HEAD_PITCH_UP: 20,       // Looking up threshold
+
+  // How long a condition must hold before the status changes
+  LOOKING_AWAY_MS: 2000,   // 2 seconds of head turn = looking away
+  ATTENTIVE_MS: 2000,      // 2 seconds of good posture = attentive
+
+  // Resting head pose when looking at the screen (off-center webcams)
+  YAW_OFFSET: 0,
+  PITCH_OFFSET: 0,
+
+  // Gaze (head pose + iris) that still counts as looking at the screen
+  GAZE_YAW_LIMIT: 20,
+  GAZE_PITCH_DOWN: 25,     // Phones and notes usually sit below the screen
+  GAZE_PITCH_UP: 20,
+  DISTRACTED_MS: 3000,     // 3 seconds of eyes off screen = distracted
+  GAZE_YAW_OFFSET: 0,
+  GAZE_PITCH_OFFSET: 0,
+
+  // Fatigue (see utils/fatigue)
+  YAWN_MAR: 0.6,           // Mouth open about as tall as it is wide
+  YAWN_MIN_MS: 1500,       // Held this long = a yawn, not talking
+  YAWN_WINDOW_MS: 300000,  // Yawns count towards fatigue for 5 minutes
+  PERCLOS_WINDOW_MS: 60000,
+  FATIGUE_SCORE: 0.4,      // Score at which a student is reported as fatigued
+};
+
+export const CALIBRATION_STEPS = [
+  {
+    id: 'forward',
+    title: 'Look at the screen',
+    instruction: 'Sit as you normally would and look at the middle of your screen.',
+  },
+  {
+    id: 'away',
+    title: 'Look away',
+    instruction: 'Turn your head to one side, as if someone called you.',
+  },
+  {
+    id: 'eyes_closed',
+    title: 'Close your eyes',
+    instruction: 'Face the screen and gently close your eyes until the timer ends.',
+  },
+];
+
+// Even the slowest devices detect at ~3 fps, so a 4 second step yields 12+ samples
+export const CALIBRATION_STEP_MS = 4000;
+export const MIN_SAMPLES_PER_STEP = 8;
+
+// Below these spreads the calibration didn't capture a real difference,
+// so we keep the default for that signal
+const MIN_EAR_SPREAD = 0.03;
+const MIN_YAW_SPREAD = 10;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Reduce one step's feature samples to robust medians.
+ * Returns null if there weren't enough face detections.
+ */
+export const summarizeSamples = (samples) => {
+  if (samples.length < MIN_SAMPLES_PER_STEP) return null;
+  const gazes = samples.map(f => f.gaze_direction).filter(Boolean);
+  return {
+    ear: median(samples.map(f => f.eye_aspect_ratio)),
+    yaw: median(samples.map(f => f.head_pose.yaw)),
+    pitch: median(samples.map(f => f.head_pose.pitch)),
+    gazeYaw: gazes.length ? median(gazes.map(g => g.yaw)) : null,
+    gazePitch: gazes.length ? median(gazes.map(g => g.pitch)) : null,
+    samples: samples.length,
+  };
+};
+
+/**
+ * Derive personal thresholds from the three calibration steps.
+ * @param {object} baseline - { forward, away, eyes_closed } from summarizeSamples
+ */
+export const deriveThresholds = ({ forward, away, eyes_closed }) => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    YAW_OFFSET: Math.round(forward.yaw),
+    PITCH_OFFSET: Math.round(forward.pitch),
+  };
+
+  if (forward.gazeYaw !== null && forward.gazeYaw !== undefined) {
+    thresholds.GAZE_YAW_OFFSET = Math.round(forward.gazeYaw);
+    thresholds.GAZE_PITCH_OFFSET = Math.round(forward.gazePitch);
+  }
+
+  const earSpread = forward.ear - eyes_closed.ear;
+  if (earSpread >= MIN_EAR_SPREAD) {
+    thresholds.EYE_CLOSED = Number((eyes_closed.ear + earSpread * 0.3).toFixed(3));
+    thresholds.EYE_OPEN = Number((eyes_closed.ear + earSpread * 0.6).toFixed(3));
+  }
+
+  const yawSpread = Math.abs(away.yaw - forward.yaw);
+  if (yawSpread >= MIN_YAW_SPREAD) {
+    thresholds.HEAD_YAW_EXTREME = Math.round(clamp(yawSpread * 0.6, 15, 45));
+    thresholds.HEAD_YAW_MODERATE = Math.round(thresholds.HEAD_YAW_EXTREME * 0.6);
+  }
+
+  return thresholds;
+};
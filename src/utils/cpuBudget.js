@@ -0,0 +1,72 @@
+// Detection rate control. Instead of running inference on every camera
+// frame, detection gets a share of the CPU: if a frame takes 60 ms to
+// analyze and the budget is 30%, the next one starts 200 ms later. Slow
+// devices drop to a few frames per second and the chat and UI stay
+// responsive; fast ones still get a smooth rate.
+
+export const CPU_BUDGETS = {
+  low: { label: 'Low', share: 0.15, description: 'Saves battery; slower to notice changes' },
+  balanced: { label: 'Balanced', share: 0.3, description: 'Default' },
+  high: { label: 'High', share: 0.6, description: 'Fastest detection; may slow older laptops' },
+};
+
+export const DEFAULT_CPU_BUDGET = 'balanced';
+
+const COST_SMOOTHING = 0.2;   // EMA factor for the per-frame cost
+
+export class AdaptiveThrottle {
+  /**
+   * @param {string} budget - key of CPU_BUDGETS
+   * @param {object} [limits] - { minFps, maxFps } regardless of cost
+   */
+  constructor(budget = DEFAULT_CPU_BUDGET, { minFps = 2, maxFps = 30 } = {}) {
+    this.minIntervalMs = 1000 / maxFps;
+    this.maxIntervalMs = 1000 / minFps;
+    this.setBudget(budget);
+    this.reset();
+  }
+
+  setBudget(budget) {
+    this.budget = CPU_BUDGETS[budget] ? budget : DEFAULT_CPU_BUDGET;
+    this.share = CPU_BUDGETS[this.budget].share;
+  }
+
+  reset() {
+    this.costMs = null;
+    this.lastStart = null;
+  }
+
+  /**
+   * Record how long one detection took (inference plus drawing).
+   */
+  record(costMs) {
+    this.costMs = this.costMs === null
+      ? costMs
+      : this.costMs + COST_SMOOTHING * (costMs - this.costMs);
+  }
+
+  /**
+   * Target time between the starts of two detections.
+   */
+  get intervalMs() {
+    if (this.costMs === null) return this.minIntervalMs;
+    return Math.max(this.minIntervalMs, Math.min(this.maxIntervalMs, this.costMs / this.share));
+  }
+
+  /**
+   * Whether a detection may start now; marks it started if so.
+   */
+  due(now = performance.now()) {
+    if (this.lastStart !== null && now - this.lastStart < this.intervalMs) return false;
+    this.lastStart = now;
+    return true;
+  }
+
+  /**
+   * Milliseconds to wait before the next detection may start.
+   */
+  delay(now = performance.now()) {
+    if (this.lastStart === null) return 0;
+    return Math.max(0, this.lastStart + this.intervalMs - now);
+  }
+}
@@ -5,6 +5,9 @@ export const getStatusColor = (status) => {
   const colors = {
     attentive: '#22c55e',      // Green
     looking_away: '#f59e0b',   // Orange
+    distracted: '#eab308',     // Yellow
+    multiple_faces: '#a855f7', // Purple
+    different_person: '#be123c', // Crimson
     drowsy: '#ef4444',         // Red
     no_face: '#6b7280',        // Gray
   };
@@ -18,12 +21,98 @@ export const getStatusLabel = (status) => {
   const labels = {
     attentive: 'Attentive',
     looking_away: 'Looking Away',
+    distracted: 'Distracted',
+    multiple_faces: 'Multiple People',
+    different_person: 'Different Person',
     drowsy: 'Drowsy',
     no_face: 'No Face Detected',
   };
   return labels[status] || 'Unknown';
 };
 
+/**
+ * Label and trust note for the detector a student is running
+ * (see DETECTORS in protocol.js)
+ */
+export const getDetectorInfo = (detector) => {
+  const detectors = {
+    face_mesh: {
+      label: 'Full detection',
+      description: 'Face Mesh: eyes, head pose and gaze',
+    },
+    blazeface: {
+      label: 'Basic detection',
+      description: 'BlazeFace fallback: face presence and head turn only, no eye or gaze tracking',
+    },
+    none: {
+      label: 'No detection',
+      description: 'No face detector could load on this device; status is not being tracked',
+    },
+  };
+  return detectors[detector] || { label: 'Unknown detector', description: 'Detector not reported yet' };
+};
+
+/**
+ * How much of the identity check a detector supports, or null for all of
+ * it. BlazeFace can count faces but has no mesh to match them against.
+ */
+export const getIdentityCheckLimit = (detector) => {
+  const limits = {
+    blazeface: 'extra faces only; face matching needs full detection',
+    none: 'unavailable without a face detector',
+  };
+  return limits[detector] || null;
+};
+
+/**
+ * Color and icon for alert severities
+ */
+export const getSeverityColor = (severity) => {
+  const colors = {
+    low: '#3b82f6',
+    medium: '#f59e0b',
+    high: '#ef4444',
+  };
+  return colors[severity] || colors.low;
+};
+
+export const getSeverityIcon = (severity) => {
+  const icons = { low: 'ℹ️', medium: '⚠️', high: '🚨' };
+  return icons[severity] || 'ℹ️';
+};
+
+/**
+ * Format a duration in ms as "45s", "12m 05s" or "1h 02m"
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m ${pad(secs)}s`;
+  return `${secs}s`;
+};
+
+/**
+ * Human-readable name for the rule behind an attention result (the `rule`
+ * of an engine result, or an identity check status)
+ */
+export const getRuleLabel = (rule) => {
+  const rules = {
+    focused: 'Facing the screen',
+    eyes_closed: 'Eyes closed',
+    head_turned: 'Head turned away',
+    gaze_off_screen: 'Eyes off screen',
+    no_face: 'No face in view',
+    multiple_faces: 'More than one person in view',
+    different_person: 'Different person at the desk',
+  };
+  return rules[rule] || 'Unknown';
+};
+
 /**
  * Format timestamp to "X seconds/minutes/hours ago" in IST
  */
@@ -47,9 +136,9 @@ export const formatTimeAgoIST = (timestamp) => {
 };
 
 /**
- * Format timestamp to IST time (HH:MM AM/PM)
+ * Format timestamp to IST time (HH:MM AM/PM, or HH:MM:SS AM/PM with seconds)
  */
-export const formatTimeIST = (timestamp) => {
+export const formatTimeIST = (timestamp, { seconds = false } = {}) => {
   if (!timestamp) return 'N/A';
   
   try {
@@ -58,6 +147,7 @@ export const formatTimeIST = (timestamp) => {
       timeZone: 'Asia/Kolkata',
       hour: '2-digit',
       minute: '2-digit',
+      ...(seconds && { second: '2-digit' }),
       hour12: true,
     });
   } catch (error) {
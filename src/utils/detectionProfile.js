@@ -0,0 +1,92 @@
+// Room-wide detection profiles. The teacher picks how much head movement
+// suits the activity (reading from paper means looking down, a discussion
+// means turning towards classmates) and every student's device applies it on
+// top of their own calibrated thresholds. Settings are scale factors rather
+// than absolute limits so calibration (e.g. a personal HEAD_YAW_EXTREME)
+// still carries through.
+
+import { DEFAULT_THRESHOLDS } from './calibration';
+
+export const DETECTION_SETTINGS = {
+  yaw: {
+    label: 'Head turn allowed',
+    keys: ['HEAD_YAW_EXTREME', 'HEAD_YAW_MODERATE', 'GAZE_YAW_LIMIT'],
+    min: 0.5,
+    max: 2.5,
+  },
+  // Down only: looking up keeps HEAD_PITCH_UP / GAZE_PITCH_UP
+  pitch_down: {
+    label: 'Looking down allowed',
+    keys: ['HEAD_PITCH_DOWN', 'GAZE_PITCH_DOWN'],
+    min: 0.5,
+    max: 3,
+  },
+  time: {
+    label: 'Grace period',
+    keys: ['LOOKING_AWAY_MS', 'DISTRACTED_MS'],
+    min: 0.5,
+    max: 3,
+  },
+};
+
+export const DETECTION_PRESETS = {
+  lecture: {
+    label: 'Lecture',
+    description: 'Eyes on the screen; the default limits',
+    settings: { yaw: 1, pitch_down: 1, time: 1 },
+  },
+  reading: {
+    label: 'Reading',
+    description: 'Looking down at paper or a book is fine',
+    settings: { yaw: 1, pitch_down: 2.5, time: 1.5 },
+  },
+  exam: {
+    label: 'Exam',
+    description: 'Flags smaller head turns, sooner',
+    settings: { yaw: 0.75, pitch_down: 1, time: 0.5 },
+  },
+  discussion: {
+    label: 'Discussion',
+    description: 'Turning towards classmates is fine',
+    settings: { yaw: 2, pitch_down: 1.25, time: 2 },
+  },
+};
+
+export const DEFAULT_DETECTION_PROFILE = { name: 'lecture', settings: DETECTION_PRESETS.lecture.settings };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Validate a profile received over the wire: known preset or 'custom', every
+ * setting a number within its range. Anything else gives the default.
+ * @returns {{ name: string, settings: object }}
+ */
+export const normalizeDetectionProfile = (profile) => {
+  const name = profile?.name;
+  if (name !== 'custom' && !DETECTION_PRESETS[name]) return DEFAULT_DETECTION_PROFILE;
+
+  const settings = {};
+  for (const [key, { min, max }] of Object.entries(DETECTION_SETTINGS)) {
+    const value = profile.settings?.[key];
+    settings[key] = typeof value === 'number' && Number.isFinite(value)
+      ? clamp(value, min, max)
+      : DETECTION_PRESETS.lecture.settings[key];
+  }
+  return { name, settings };
+};
+
+export const getDetectionProfileLabel = (profile) =>
+  DETECTION_PRESETS[profile?.name]?.label || 'Custom';
+
+/**
+ * Scale a student's thresholds by the room's detection profile.
+ */
+export const applyDetectionProfile = (thresholds, profile) => {
+  // Merge first so thresholds from an older calibration still get scaled
+  const result = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  for (const [key, { keys }] of Object.entries(DETECTION_SETTINGS)) {
+    const scale = profile?.settings?.[key] ?? 1;
+    keys.forEach((name) => { result[name] *= scale; });
+  }
+  return result;
+};
@@ -0,0 +1,136 @@
+// Main-thread side of workers/detection.worker.js. Grabs frames from the
+// camera <video> as VideoFrames (or ImageBitmaps where WebCodecs is missing)
+// and hands them to the worker one at a time: the next frame is only sent
+// once the previous result is back, and no sooner than the AdaptiveThrottle
+// (utils/cpuBudget) allows, so detection can't pile up behind a slow device.
+
+/**
+ * Whether this browser can run detection in a worker. Without
+ * OffscreenCanvas the overlay can't be drawn there, so StudentCamera keeps
+ * detection on the main thread instead.
+ */
+export const supportsDetectionWorker = () =>
+  typeof Worker === 'function'
+  && typeof OffscreenCanvas === 'function'
+  && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+  && typeof createImageBitmap === 'function';
+
+const VIDEO_WAIT_MS = 100;
+
+const grabFrame = (video) => (typeof VideoFrame === 'function'
+  ? new VideoFrame(video)
+  : createImageBitmap(video));
+
+/**
+ * Start detection in a worker.
+ * @param {HTMLVideoElement} video - playing camera preview
+ * @param {HTMLCanvasElement} canvas - overlay canvas; the worker takes it
+ *   over for good, so pass a fresh one per worker
+ * @param {object} options - { onResult, onError, throttle, maxNumFaces }:
+ *   onResult gets { faces, faceCount, features, frame } for every analyzed frame
+ *   (frames the worker skipped only release the throttle);
+ *   onError(error) is called if the worker crashes after starting, after
+ *   which it analyzes nothing more and the caller should stop() it
+ * @returns {Promise<object>} { detector, errors, restart(), setMaxNumFaces(n),
+ *   stop() } once the worker has picked a detector; restart() re-runs the
+ *   detector chain and resolves to the new { detector, errors }
+ */
+export async function startDetectionWorker(video, canvas, { onResult, onError, throttle, maxNumFaces = 1 }) {
+  const worker = new Worker(new URL('../workers/detection.worker.js', import.meta.url), { type: 'module' });
+
+  let stopped = false;
+  let ready = false;
+  let busy = false;
+  let timer = null;
+  let pending = null;
+
+  const schedule = (delay) => {
+    if (!stopped && timer === null) {
+      timer = setTimeout(pump, delay);
+    }
+  };
+
+  const pump = async () => {
+    timer = null;
+    if (stopped || !ready || busy) return;
+    if (video.readyState < 2) {
+      schedule(VIDEO_WAIT_MS);
+      return;
+    }
+
+    throttle.due();
+    busy = true;
+    try {
+      const frame = await grabFrame(video);
+      worker.postMessage({ type: 'frame', frame, timestamp: Date.now() }, [frame]);
+    } catch (error) {
+      console.error('Frame grab error:', error);
+      busy = false;
+      schedule(throttle.delay());
+    }
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'ready') {
+      console.log('🧵 Detection worker ready:', data.detector);
+      // With no detector there is nothing to analyze, so stop grabbing frames
+      ready = data.detector !== 'none';
+      pending?.resolve({ detector: data.detector, errors: data.errors });
+      pending = null;
+      schedule(0);
+    } else if (data.type === 'result') {
+      busy = false;
+      // Results from before a restart finished carry nothing
+      if (!ready) return;
+      throttle.record(data.costMs);
+      if (!stopped && !data.skipped) onResult(data);
+      schedule(throttle.delay());
+    }
+  };
+
+  worker.onerror = (event) => {
+    console.error('❌ Detection worker error:', event.message);
+    const error = new Error(event.message || 'Detection worker failed');
+    ready = false;
+    busy = false;
+    clearTimeout(timer);
+    timer = null;
+    if (pending) {
+      pending.reject(error);
+      pending = null;
+    } else if (!stopped) {
+      onError?.(error);
+    }
+  };
+
+  const init = (message, transfer = []) => new Promise((resolve, reject) => {
+    ready = false;
+    pending = { resolve, reject };
+    worker.postMessage({ type: 'init', maxNumFaces, ...message }, transfer);
+  });
+
+  const offscreen = canvas.transferControlToOffscreen();
+  let started;
+  try {
+    started = await init({ canvas: offscreen }, [offscreen]);
+  } catch (error) {
+    worker.terminate();
+    throw error;
+  }
+  const { detector, errors } = started;
+
+  return {
+    detector,
+    errors,
+    restart: () => init({}),
+    setMaxNumFaces: (count) => {
+      maxNumFaces = count;
+      worker.postMessage({ type: 'options', maxNumFaces: count });
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      worker.terminate();
+    },
+  };
+}
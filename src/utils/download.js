@@ -0,0 +1,15 @@
+/**
+ * Save generated content as a file through a temporary object URL.
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} [type] - MIME type when content is a string
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,45 @@
+// Class-wide engagement over the session: the share of students attentive,
+// sampled every few seconds, plus teacher-defined lesson segments ("Intro",
+// "Group work") to line the numbers up with what was happening.
+
+export const ENGAGEMENT_SAMPLE_MS = 5000;
+
+// Six hours of samples; older ones are dropped
+const MAX_SAMPLES = 4320;
+
+/**
+ * Snapshot of the class. percent is null with nobody in the room, which
+ * the chart draws as a gap rather than 0%.
+ * @returns {{ timestamp, total, attentive, percent }}
+ */
+export const sampleEngagement = (students, timestamp = Date.now()) => {
+  const total = students.length;
+  const attentive = students.filter(s => s.status === 'attentive').length;
+  return {
+    timestamp,
+    total,
+    attentive,
+    percent: total ? Math.round((attentive / total) * 100) : null,
+  };
+};
+
+export const appendSample = (samples, sample) => [...samples, sample].slice(-MAX_SAMPLES);
+
+/**
+ * Segments with their end times: each runs until the next one starts, the
+ * last one until `now`.
+ * @param {Array<{ label, start }>} segments - in start order
+ * @returns {Array<{ label, start, end }>}
+ */
+export const segmentRanges = (segments, now = Date.now()) =>
+  segments.map((segment, i) => ({ ...segment, end: segments[i + 1]?.start ?? now }));
+
+/**
+ * Average percent attentive over samples in [start, end), or null if none.
+ */
+export const averageEngagement = (samples, start, end) => {
+  const values = samples
+    .filter(sample => sample.timestamp >= start && sample.timestamp < end && sample.percent !== null)
+    .map(sample => sample.percent);
+  return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+};
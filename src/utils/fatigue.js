@@ -0,0 +1,117 @@
+// Fatigue tracking over minutes rather than seconds. Drowsiness (eyes shut
+// for a few seconds) is the end state; PERCLOS (share of time with eyes
+// closed), blink rate and yawns rise well before that, which is what lets a
+// teacher notice a tired class early.
+
+import { SlidingWindow } from './slidingWindow';
+
+const BLINK_MAX_MS = 500;         // Longer closures aren't blinks
+const MIN_PERCLOS_SAMPLES = 10;
+const MIN_BLINK_RATE_MS = 20000;  // Don't report a blink rate from a few seconds
+const YAWN_RELEASE_RATIO = 0.8;   // Mouth must close this far below YAWN_MAR to end a yawn
+const FATIGUE_RELEASE = 0.1;      // Hysteresis below FATIGUE_SCORE before clearing
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+export class FatigueMonitor {
+  constructor(thresholds) {
+    this.perclosWindow = new SlidingWindow(0);
+    this.setThresholds(thresholds);
+    this.reset();
+  }
+
+  setThresholds(thresholds) {
+    this.thresholds = thresholds;
+    this.perclosWindow.spanMs = thresholds.PERCLOS_WINDOW_MS;
+  }
+
+  reset() {
+    this.perclosWindow.clear();
+    this.blinks = [];
+    this.yawns = [];
+    this.closedSince = null;
+    this.mouthOpenSince = null;
+    this.yawnCounted = false;
+    this.fatigued = false;
+  }
+
+  /**
+   * Record one detection.
+   * @param {object} features - needs mouth_aspect_ratio and timestamp
+   * @param {boolean} eyesClosed - the engine's eye state (with hysteresis)
+   */
+  update({ mouth_aspect_ratio, timestamp }, eyesClosed) {
+    const T = this.thresholds;
+    this.perclosWindow.push(timestamp, eyesClosed);
+
+    // Blinks: a short closure followed by reopening
+    if (eyesClosed && this.closedSince === null) {
+      this.closedSince = timestamp;
+    } else if (!eyesClosed && this.closedSince !== null) {
+      if (timestamp - this.closedSince <= BLINK_MAX_MS) {
+        this.blinks.push(timestamp);
+      }
+      this.closedSince = null;
+    }
+
+    // Yawns: mouth wide open for a while, counted once per opening
+    if (typeof mouth_aspect_ratio === 'number') {
+      if (mouth_aspect_ratio > T.YAWN_MAR) {
+        if (this.mouthOpenSince === null) this.mouthOpenSince = timestamp;
+        if (!this.yawnCounted && timestamp - this.mouthOpenSince >= T.YAWN_MIN_MS) {
+          this.yawns.push(timestamp);
+          this.yawnCounted = true;
+        }
+      } else if (mouth_aspect_ratio < T.YAWN_MAR * YAWN_RELEASE_RATIO) {
+        this.mouthOpenSince = null;
+        this.yawnCounted = false;
+      }
+    }
+
+    const blinkCutoff = timestamp - T.PERCLOS_WINDOW_MS;
+    this.blinks = this.blinks.filter(t => t >= blinkCutoff);
+    const yawnCutoff = timestamp - T.YAWN_WINDOW_MS;
+    this.yawns = this.yawns.filter(t => t >= yawnCutoff);
+  }
+
+  /**
+   * Current fatigue estimate.
+   * @returns {{ score: number, perclos: number, blink_rate: number|null,
+   *   yawns: number, yawning: boolean, fatigued: boolean }}
+   */
+  summary(now) {
+    const T = this.thresholds;
+    const samples = this.perclosWindow.samples;
+
+    const perclos = samples.length >= MIN_PERCLOS_SAMPLES
+      ? samples.filter(sample => sample.value).length / samples.length
+      : 0;
+
+    const observedMs = samples.length ? now - samples[0].timestamp : 0;
+    const blinkRate = observedMs >= MIN_BLINK_RATE_MS
+      ? this.blinks.length * (60000 / Math.min(observedMs, T.PERCLOS_WINDOW_MS))
+      : null;
+
+    // PERCLOS above ~15% is the classic drowsiness marker; frequent
+    // blinking and repeated yawns add to it
+    const perclosScore = clamp01((perclos - 0.05) / 0.15);
+    const blinkScore = blinkRate === null ? 0 : clamp01((blinkRate - 20) / 20);
+    const yawnScore = clamp01(this.yawns.length / 3);
+    const score = clamp01(0.55 * perclosScore + 0.15 * blinkScore + 0.3 * yawnScore);
+
+    if (score >= T.FATIGUE_SCORE) {
+      this.fatigued = true;
+    } else if (score < T.FATIGUE_SCORE - FATIGUE_RELEASE) {
+      this.fatigued = false;
+    }
+
+    return {
+      score: Math.round(score * 100) / 100,
+      perclos: Math.round(perclos * 100) / 100,
+      blink_rate: blinkRate === null ? null : Math.round(blinkRate),
+      yawns: this.yawns.length,
+      yawning: this.mouthOpenSince !== null && this.yawnCounted,
+      fatigued: this.fatigued,
+    };
+  }
+}
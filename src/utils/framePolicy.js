@@ -0,0 +1,106 @@
+// Adaptive camera thumbnail policy. Students pick a resolution, JPEG quality
+// and send interval from the room size, the teacher's bandwidth feedback and
+// local socket backpressure, so a class of 40 on school Wi-Fi degrades to
+// small, infrequent thumbnails instead of a frozen dashboard.
+
+/**
+ * Tiers from best to worst. `approxKbps` is the rough bitrate of one student
+ * at that tier and is only used to fit students into the teacher's budget.
+ */
+export const FRAME_TIERS = [
+  { name: 'hd', width: 640, quality: 0.8, interval: 500, approxKbps: 640 },
+  { name: 'high', width: 480, quality: 0.7, interval: 1000, approxKbps: 200 },
+  { name: 'medium', width: 320, quality: 0.6, interval: 2000, approxKbps: 50 },
+  { name: 'low', width: 240, quality: 0.5, interval: 4000, approxKbps: 15 },
+  { name: 'minimal', width: 160, quality: 0.4, interval: 8000, approxKbps: 4 },
+];
+
+// Socket backpressure thresholds (bytes waiting in ws.bufferedAmount)
+export const BACKPRESSURE = {
+  STEP_DOWN: 64 * 1024,   // Send smaller frames
+  SKIP: 256 * 1024,       // Don't send at all until the socket drains
+};
+
+// The teacher's link is considered saturated above this share of its budget
+const SATURATION_RATIO = 0.9;
+
+const tierIndex = (name) => FRAME_TIERS.findIndex(tier => tier.name === name);
+
+/**
+ * Starting tier by class size, before any bandwidth feedback arrives.
+ */
+const baseTierForRoomSize = (roomSize) => {
+  if (roomSize <= 5) return tierIndex('high');
+  if (roomSize <= 15) return tierIndex('medium');
+  if (roomSize <= 30) return tierIndex('low');
+  return tierIndex('minimal');
+};
+
+/**
+ * Choose the frame tier for the next capture.
+ * @param {object} input
+ * @param {number} input.roomSize - students in the room, including this one
+ * @param {object} [input.feedback] - latest frame_feedback from the teacher
+ * @param {number} [input.bufferedAmount] - ws.bufferedAmount right now
+ * @param {boolean} [input.highResolution] - teacher asked for this student in HD
+ * @returns {object|null} a FRAME_TIERS entry, or null to skip this frame
+ */
+export const computeFramePolicy = ({ roomSize, feedback, bufferedAmount = 0, highResolution = false }) => {
+  if (bufferedAmount > BACKPRESSURE.SKIP) return null;
+
+  let index = highResolution ? tierIndex('hd') : baseTierForRoomSize(Math.max(1, roomSize));
+
+  if (feedback && feedback.max_kbps > 0 && !highResolution) {
+    // Best tier whose bitrate fits this student's share of the teacher's link
+    const share = feedback.max_kbps / Math.max(1, feedback.student_count);
+    const fitting = FRAME_TIERS.findIndex(tier => tier.approxKbps <= share);
+    index = Math.max(index, fitting === -1 ? FRAME_TIERS.length - 1 : fitting);
+
+    if (feedback.receive_kbps > feedback.max_kbps * SATURATION_RATIO) {
+      index++;
+    }
+  }
+
+  if (bufferedAmount > BACKPRESSURE.STEP_DOWN) {
+    index++;
+  }
+
+  return FRAME_TIERS[Math.min(index, FRAME_TIERS.length - 1)];
+};
+
+/**
+ * Rolling receive-rate meter used by the teacher to report bandwidth.
+ */
+export class ReceiveRateMeter {
+  constructor(windowMs = 10000) {
+    this.windowMs = windowMs;
+    this.samples = [];
+  }
+
+  record(bytes, now = Date.now()) {
+    this.samples.push({ bytes, time: now });
+    this.prune(now);
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    while (this.samples.length > 0 && this.samples[0].time < cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  kbps(now = Date.now()) {
+    this.prune(now);
+    const bytes = this.samples.reduce((sum, sample) => sum + sample.bytes, 0);
+    return (bytes * 8) / this.windowMs;
+  }
+}
+
+/**
+ * Teacher downlink budget in kbps, from the Network Information API when the
+ * browser has it. Falls back to a conservative classroom default.
+ */
+export const estimateDownlinkKbps = () => {
+  const downlinkMbps = navigator.connection?.downlink;
+  return downlinkMbps ? downlinkMbps * 1000 : 2000;
+};
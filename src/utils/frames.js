@@ -0,0 +1,108 @@
+// Binary camera frame codec. Frames travel as WebSocket binary messages
+// instead of base64 data URLs inside JSON:
+//
+//   offset  size  field
+//   0       1     version
+//   1       1     kind (FrameKind)
+//   2       1     image format (1 = JPEG, 2 = WebP)
+//   3       1     sender id length in bytes (N)
+//   4       4     sequence number (uint32, big-endian)
+//   8       8     capture timestamp in ms since epoch (float64, big-endian)
+//   16      N     sender id (UTF-8)
+//   16+N    ...   image bytes
+
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 16;
+
+export const FrameKind = Object.freeze({
+    STUDENT_CAMERA: 1,
+    TEACHER_CAMERA: 2,
+});
+
+const MIME_CODES = {
+    'image/jpeg': 1,
+    'image/webp': 2,
+};
+
+const MIME_TYPES = Object.fromEntries(
+    Object.entries(MIME_CODES).map(([mimeType, code]) => [code, mimeType])
+);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Pack a frame into a single ArrayBuffer.
+ * @param {object} frame - { kind, senderId, seq, timestamp, mimeType, bytes }
+ */
+export const encodeFrame = ({ kind, senderId, seq, timestamp, mimeType, bytes }) => {
+    const mimeCode = MIME_CODES[mimeType];
+    if (!mimeCode) {
+        throw new Error(`Unsupported frame format: ${mimeType}`);
+    }
+
+    const idBytes = encoder.encode(senderId);
+    if (idBytes.length > 255) {
+        throw new Error('Frame sender id is too long');
+    }
+
+    const payload = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const buffer = new ArrayBuffer(HEADER_SIZE + idBytes.length + payload.length);
+    const view = new DataView(buffer);
+
+    view.setUint8(0, FRAME_VERSION);
+    view.setUint8(1, kind);
+    view.setUint8(2, mimeCode);
+    view.setUint8(3, idBytes.length);
+    view.setUint32(4, seq >>> 0);
+    view.setFloat64(8, timestamp);
+
+    const out = new Uint8Array(buffer);
+    out.set(idBytes, HEADER_SIZE);
+    out.set(payload, HEADER_SIZE + idBytes.length);
+    return buffer;
+};
+
+/**
+ * Unpack a binary frame. Returns null if the buffer is not a valid frame.
+ * `bytes` is a view into the original buffer, not a copy.
+ */
+export const decodeFrame = (buffer) => {
+    if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_SIZE) {
+        return null;
+    }
+
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== FRAME_VERSION) {
+        return null;
+    }
+
+    const mimeType = MIME_TYPES[view.getUint8(2)];
+    const idLength = view.getUint8(3);
+    if (!mimeType || buffer.byteLength < HEADER_SIZE + idLength) {
+        return null;
+    }
+
+    return {
+        kind: view.getUint8(1),
+        mimeType,
+        seq: view.getUint32(4),
+        timestamp: view.getFloat64(8),
+        senderId: decoder.decode(new Uint8Array(buffer, HEADER_SIZE, idLength)),
+        bytes: new Uint8Array(buffer, HEADER_SIZE + idLength),
+    };
+};
+
+/**
+ * Promise wrapper around canvas.toBlob. Resolves to null when the browser
+ * can't encode the requested format, so callers can fall back to data URLs.
+ */
+export const canvasToBlob = (canvas, mimeType = 'image/jpeg', quality = 0.7) => {
+    if (!canvas.toBlob) return Promise.resolve(null);
+    return new Promise((resolve) => {
+        canvas.toBlob((blob) => {
+            // Browsers without WebP encoding silently hand back PNG
+            resolve(blob && blob.type === mimeType ? blob : null);
+        }, mimeType, quality);
+    });
+};
@@ -0,0 +1,62 @@
+// Iris-based gaze estimation. With refineLandmarks on, Face Mesh adds iris
+// centers (468 and 473). Where the iris sits between the eye corners and
+// eyelids tells us where the eye points relative to the head; adding the
+// head pose gives where the student is actually looking, so a face pointed
+// at the screen with eyes down on a phone no longer reads as attentive.
+
+// Eyes are named by their side of the (unmirrored) camera image
+const EYES = [
+    { iris: 468, outer: 33, inner: 133, upper: 159, lower: 145 },    // Image left
+    { iris: 473, outer: 263, inner: 362, upper: 386, lower: 374 },   // Image right
+];
+
+// Approximate eye rotation (degrees) when the iris reaches a corner or lid
+const EYE_YAW_RANGE = 35;
+const EYE_PITCH_RANGE = 25;
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * Iris position inside one eye, -1..1 on each axis (0 is centered).
+ * x > 0 towards the right of the image, y > 0 downwards.
+ */
+const irisOffset = (landmarks, eye) => {
+    const iris = landmarks[eye.iris];
+    const left = landmarks[eye.outer].x < landmarks[eye.inner].x ? landmarks[eye.outer] : landmarks[eye.inner];
+    const right = left === landmarks[eye.outer] ? landmarks[eye.inner] : landmarks[eye.outer];
+
+    // Project onto the corner-to-corner axis so head roll doesn't leak in
+    const axisX = right.x - left.x;
+    const axisY = right.y - left.y;
+    const width = Math.hypot(axisX, axisY);
+    const along = ((iris.x - left.x) * axisX + (iris.y - left.y) * axisY) / (width * width);
+
+    const top = landmarks[eye.upper].y;
+    const bottom = landmarks[eye.lower].y;
+    const down = (iris.y - top) / (bottom - top || 1e-6);
+
+    return { x: clamp((along - 0.5) * 2), y: clamp((down - 0.5) * 2) };
+};
+
+/**
+ * Estimate gaze from Face Mesh landmarks and the head pose.
+ * @param {Array} landmarks - Face Mesh landmarks with refined iris points
+ * @param {object} headPose - { yaw, pitch } in degrees (see headPose.js)
+ * @returns {object|null} { x, y, yaw, pitch }: x/y are the eye-in-head
+ *   offsets (-1..1), yaw/pitch the combined gaze angles in degrees with the
+ *   same signs as head pose. Null without iris landmarks.
+ */
+export const estimateGaze = (landmarks, headPose) => {
+    if (!landmarks[468] || !landmarks[473]) return null;
+
+    const offsets = EYES.map(eye => irisOffset(landmarks, eye));
+    const x = (offsets[0].x + offsets[1].x) / 2;
+    const y = (offsets[0].y + offsets[1].y) / 2;
+
+    return {
+        x: Math.round(x * 100) / 100,
+        y: Math.round(y * 100) / 100,
+        yaw: Math.round((headPose.yaw + x * EYE_YAW_RANGE) * 10) / 10,
+        pitch: Math.round((headPose.pitch + y * EYE_PITCH_RANGE) * 10) / 10,
+    };
+};
@@ -0,0 +1,178 @@
+// 3D head pose from Face Mesh landmarks. Face Mesh gives every landmark a
+// depth (z) on roughly the same scale as x, so instead of guessing yaw from
+// 2D asymmetries we rigidly align a canonical face model to the observed 3D
+// points (Horn's quaternion method) and read yaw, pitch and roll off the
+// resulting rotation.
+//
+// Angles are in degrees, 0/0/0 when facing the camera:
+//   yaw   > 0  nose turned towards the right of the (unmirrored) image
+//   pitch > 0  looking down
+//   roll  > 0  head tilted counter-clockwise in the image
+
+// Generic anthropometric face model (arbitrary units, nose tip at origin,
+// x right in the image, y up, z towards the camera) keyed by Face Mesh index
+const CANONICAL_FACE = {
+    1: [0, 0, 0],               // Nose tip
+    152: [0, -330, -65],        // Chin
+    33: [-225, 170, -135],      // Eye outer corner, image left
+    263: [225, 170, -135],      // Eye outer corner, image right
+    61: [-150, -150, -125],     // Mouth corner, image left
+    291: [150, -150, -125],     // Mouth corner, image right
+    168: [0, 170, -100],        // Bridge of the nose between the eyes
+};
+
+const MODEL_INDICES = Object.keys(CANONICAL_FACE).map(Number);
+const RAD_TO_DEG = 180 / Math.PI;
+
+const centroid = (points) => {
+    const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+    return sum.map(v => v / points.length);
+};
+
+const centered = (points) => {
+    const c = centroid(points);
+    return points.map(p => [p[0] - c[0], p[1] - c[1], p[2] - c[2]]);
+};
+
+/**
+ * Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (cyclic
+ * Jacobi). Small and fixed-size, so this is cheap enough to run per frame.
+ */
+const largestEigenvector = (matrix) => {
+    const a = matrix.map(row => [...row]);
+    const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    for (let sweep = 0; sweep < 20; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-18) break;
+
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) {
+                if (Math.abs(a[p][q]) < 1e-15) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < 4; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < 4; i++) {
+        if (a[i][i] > a[best][best]) best = i;
+    }
+    return v.map(row => row[best]);
+};
+
+/**
+ * Rotation matrix that best maps `model` points onto `observed` points.
+ */
+const fitRotation = (model, observed) => {
+    const a = centered(model);
+    const b = centered(observed);
+
+    // Cross-covariance S[i][j] = sum(a_i * b_j)
+    const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    a.forEach((p, n) => {
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) S[i][j] += p[i] * b[n][j];
+        }
+    });
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+
+    const N = [
+        [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+        [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+        [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+        [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+    ];
+    const [w, x, y, z] = largestEigenvector(N);
+
+    return [
+        [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+        [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+        [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z],
+    ];
+};
+
+/**
+ * Solve the head pose for one face.
+ * @param {Array} landmarks - Face Mesh landmarks (normalized x, y, z)
+ * @param {object} [frame] - { width, height } of the analyzed image, so
+ *   normalized x and y can be brought back to the same scale
+ * @returns {{ yaw: number, pitch: number, roll: number }} degrees
+ */
+export const solveHeadPose = (landmarks, { width = 640, height = 480 } = {}) => {
+    // Image y points down and Face Mesh z gets smaller towards the camera;
+    // flip both to match the model's axes
+    const observed = MODEL_INDICES.map(idx => [
+        landmarks[idx].x * width,
+        -landmarks[idx].y * height,
+        -(landmarks[idx].z || 0) * width,
+    ]);
+    const model = MODEL_INDICES.map(idx => CANONICAL_FACE[idx]);
+
+    // R = Ry(yaw) * Rx(pitch) * Rz(roll)
+    const R = fitRotation(model, observed);
+    return {
+        yaw: Math.atan2(R[0][2], R[2][2]) * RAD_TO_DEG,
+        pitch: Math.asin(Math.max(-1, Math.min(1, -R[1][2]))) * RAD_TO_DEG,
+        roll: Math.atan2(R[1][0], R[1][1]) * RAD_TO_DEG,
+    };
+};
+
+/**
+ * Exponential smoothing of head pose with a time constant rather than a
+ * per-frame factor, so it behaves the same at 5 fps and at 30 fps.
+ */
+export class PoseSmoother {
+    constructor(timeConstantMs = 150, resetAfterMs = 1000) {
+        this.timeConstantMs = timeConstantMs;
+        // After a gap this long (face lost, tab hidden) start over
+        this.resetAfterMs = resetAfterMs;
+        this.reset();
+    }
+
+    reset() {
+        this.pose = null;
+        this.timestamp = null;
+    }
+
+    update(pose, timestamp) {
+        const dt = this.timestamp === null ? Infinity : timestamp - this.timestamp;
+        this.timestamp = timestamp;
+
+        if (!this.pose || dt > this.resetAfterMs || dt < 0) {
+            this.pose = { ...pose };
+            return { ...this.pose };
+        }
+
+        const alpha = 1 - Math.exp(-dt / this.timeConstantMs);
+        for (const angle of ['yaw', 'pitch', 'roll']) {
+            this.pose[angle] += alpha * (pose[angle] - this.pose[angle]);
+        }
+        return { ...this.pose };
+    }
+}
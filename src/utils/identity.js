@@ -0,0 +1,173 @@
+// On-device "is this still the same student?" checks. Two signals:
+//   - more than one face in view for a while (someone helping at the desk)
+//   - the face no longer matches the one captured when the student joined
+//
+// The face signature is a lightweight geometric embedding: pairwise 3D
+// distances between rigid Face Mesh landmarks, scaled by the distance
+// between the eyes. Distances don't change when the head turns or moves, and
+// the chosen points barely move with expression. It is far coarser than a
+// face-recognition network, but it catches a swap between clearly different
+// people, and neither the signature nor any image ever leaves the device.
+
+import { SlidingWindow } from './slidingWindow';
+
+// Eye corners, nose bridge and tip, nostrils, forehead and cheek edges.
+// Mouth, jaw and brows are left out because they move when talking.
+const SIGNATURE_POINTS = [33, 133, 362, 263, 168, 6, 1, 2, 98, 327, 10, 234, 454];
+const EYE_OUTER = [33, 263];
+
+const HOLD_RATIO = 0.8;
+const MIN_MISMATCH_SAMPLES = 5;
+const FRONTAL_LIMIT = 20;   // Degrees; z estimates get noisy on turned faces
+
+export const IDENTITY_DEFAULTS = {
+  referenceFrames: 15,      // Frontal frames averaged into the join-time reference
+  multiFaceMs: 2000,        // Two faces for this long = multiple people
+  mismatchMs: 5000,         // Mismatch sustained this long = different person
+  maxDistance: 0.08,        // Mean relative difference still counted as a match
+};
+
+const toPoint = (landmark, frame) => [
+  landmark.x * frame.width,
+  landmark.y * frame.height,
+  (landmark.z || 0) * frame.width,
+];
+
+const distance3d = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+/**
+ * Geometric face signature for one face.
+ * @param {Array} landmarks - Face Mesh landmarks
+ * @param {object} frame - { width, height } of the analyzed image
+ * @returns {number[]} pairwise distances relative to the eye span
+ */
+export const faceSignature = (landmarks, frame = { width: 640, height: 480 }) => {
+  const points = SIGNATURE_POINTS.map(idx => toPoint(landmarks[idx], frame));
+  const eyeSpan = distance3d(toPoint(landmarks[EYE_OUTER[0]], frame), toPoint(landmarks[EYE_OUTER[1]], frame)) || 1e-6;
+
+  const signature = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      signature.push(distance3d(points[i], points[j]) / eyeSpan);
+    }
+  }
+  return signature;
+};
+
+/**
+ * Mean relative difference between two signatures (0 = identical).
+ */
+export const signatureDistance = (a, b) => {
+  const total = a.reduce((sum, value, i) => sum + Math.abs(value - b[i]) / ((value + b[i]) / 2 || 1e-6), 0);
+  return total / a.length;
+};
+
+/**
+ * Index of the face closest to the camera (widest eye span), which we take
+ * to be the student when several faces are in view.
+ */
+export const primaryFaceIndex = (faces) => {
+  let best = 0;
+  let bestSpan = -1;
+  faces.forEach((landmarks, i) => {
+    const span = Math.abs(landmarks[EYE_OUTER[1]].x - landmarks[EYE_OUTER[0]].x);
+    if (span > bestSpan) {
+      best = i;
+      bestSpan = span;
+    }
+  });
+  return best;
+};
+
+export class IdentityMonitor {
+  constructor(options = {}) {
+    this.options = { ...IDENTITY_DEFAULTS, ...options };
+    this.faceCounts = new SlidingWindow(this.options.multiFaceMs);
+    this.distances = new SlidingWindow(this.options.mismatchMs);
+    this.reference = null;
+    this.referenceCount = 0;
+  }
+
+  get hasReference() {
+    return this.referenceCount >= this.options.referenceFrames;
+  }
+
+  /**
+   * Forget the reference face as well as recent history, e.g. on leave.
+   */
+  reset() {
+    this.reference = null;
+    this.referenceCount = 0;
+    this.faceCounts.clear();
+    this.distances.clear();
+  }
+
+  /**
+   * Record how many faces are in view and report multiple_faces if there
+   * have been several for a while. This is the whole check for detectors
+   * that find faces but give no mesh to match (BlazeFace).
+   * @returns {{ status: string, reasons: string[] }|null}
+   */
+  updateFaceCount(faceCount, timestamp) {
+    const { multiFaceMs } = this.options;
+    this.faceCounts.push(timestamp, faceCount);
+
+    const multiple = this.faceCounts.fraction(count => count > 1, multiFaceMs, timestamp, { minSamples: 3 });
+    if (faceCount > 1 && multiple >= HOLD_RATIO) {
+      return {
+        status: 'multiple_faces',
+        reasons: [`${faceCount} faces in view for ${(multiFaceMs / 1000).toFixed(1)}s`],
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Record one detection and report an identity problem, if any.
+   * @param {Array} faces - results.multiFaceLandmarks
+   * @param {object|null} headPose - pose of the primary face
+   * @param {number} timestamp
+   * @param {object} [frame] - { width, height }
+   * @returns {{ status: string, reasons: string[] }|null}
+   */
+  update(faces, headPose, timestamp, frame) {
+    const { mismatchMs, maxDistance } = this.options;
+    const faceCount = faces?.length || 0;
+
+    const multiple = this.updateFaceCount(faceCount, timestamp);
+    if (multiple) return multiple;
+
+    if (faceCount === 0 || !headPose) return null;
+    if (Math.abs(headPose.yaw) > FRONTAL_LIMIT || Math.abs(headPose.pitch) > FRONTAL_LIMIT) return null;
+
+    const signature = faceSignature(faces[primaryFaceIndex(faces)], frame);
+
+    if (!this.hasReference) {
+      // Running mean of the first frontal frames after joining
+      this.referenceCount++;
+      this.reference = this.reference
+        ? this.reference.map((value, i) => value + (signature[i] - value) / this.referenceCount)
+        : signature;
+      if (this.hasReference) {
+        console.log('🪪 Reference face captured');
+      }
+      return null;
+    }
+
+    const distance = signatureDistance(signature, this.reference);
+    this.distances.push(timestamp, distance);
+
+    const recent = this.distances.recent(mismatchMs, timestamp);
+    const covered = timestamp - this.distances.samples[0].timestamp >= mismatchMs * HOLD_RATIO;
+    const mismatched = recent.filter(sample => sample.value > maxDistance).length / recent.length;
+
+    if (covered && recent.length >= MIN_MISMATCH_SAMPLES && mismatched >= HOLD_RATIO) {
+      const mean = recent.reduce((sum, sample) => sum + sample.value, 0) / recent.length;
+      return {
+        status: 'different_person',
+        reasons: [`Face differs from the one at join time (${Math.round(mean * 100)}% vs ${Math.round(maxDistance * 100)}% allowed)`],
+      };
+    }
+    return null;
+  }
+}
@@ -1,87 +1,227 @@
 // MediaPipe Face Mesh utility with mobile fallback
-let FaceMesh = null;
-let Camera = null;
-
-// Try to load MediaPipe from CDN with retries
-async function loadMediaPipe() {
-    if (FaceMesh && Camera) return { FaceMesh, Camera };
-
-    console.log('🔄 Loading MediaPipe...');
+import { solveHeadPose, PoseSmoother } from './headPose';
+import { estimateGaze } from './gaze';
+import { primaryFaceIndex } from './identity';
+import { MEDIAPIPE_ASSETS } from 'virtual:mediapipe-assets';
+
+// Face Mesh and its WASM/model files are served by the app itself (see
+// plugins/mediapipeAssets.js), pinned to the versions in package.json and
+// checked against their SRI hashes, so detection works on school networks
+// that block CDNs or have no internet at all.
+const FACE_MESH = MEDIAPIPE_ASSETS.face_mesh;
+const CAMERA_UTILS = MEDIAPIPE_ASSETS.camera_utils;
+
+const LOAD_TIMEOUT_MS = 20000;
+
+// The same probe Face Mesh uses to choose its SIMD build, so we verify the
+// variant it will actually request
+const SIMD_PROBE = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 4, 1, 96, 0, 0, 3, 2, 1, 0, 10, 9, 1, 7, 0, 65, 0, 253, 15, 26, 11]);
+
+// Face Mesh also runs inside the detection worker (workers/detection.worker.js),
+// where scripts run from their verified text instead of <script> tags
+const IN_WORKER = typeof document === 'undefined';
+
+const loads = {};
+
+// Object URLs of the Face Mesh files that passed their integrity check, by
+// file name. Face Mesh fetches everything through locateFile, so it only
+// ever sees these bytes and never makes a request of its own.
+let verifiedUrls = {};
+
+// In the worker, the text of each verified script by the URL Face Mesh will
+// importScripts it from; see runVerifiedScript
+let verifiedScripts = {};
+
+const CONTENT_TYPES = {
+    js: 'text/javascript',
+    wasm: 'application/wasm'
+};
+
+const locateFaceMeshFile = (file) => {
+    if (!verifiedUrls[file]) {
+        throw new Error(`MediaPipe file ${file} was not verified`);
+    }
+    return verifiedUrls[file];
+};
+
+function withTimeout(promise, file) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error(`Timed out loading ${file}`)), LOAD_TIMEOUT_MS))
+    ]);
+}
 
+/**
+ * Fetch one of the self-hosted files with SRI, so a tampered or mismatched
+ * file is rejected.
+ * @param {object} pkg - an entry of MEDIAPIPE_ASSETS
+ * @returns {Promise<ArrayBuffer>} the checked bytes
+ */
+export async function verifyFile(pkg, file) {
     try {
-        // Method 1: Try from official CDN
-        const script1 = document.createElement('script');
-        script1.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh';
-        document.head.appendChild(script1);
-
-        await new Promise((resolve, reject) => {
-            script1.onload = resolve;
-            script1.onerror = reject;
-            setTimeout(reject, 10000); // 10 second timeout
-        });
+        if (!pkg.integrity[file]) throw new Error('no integrity hash for it');
+        const response = await withTimeout(fetch(pkg.baseUrl + file, { integrity: pkg.integrity[file] }), file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.arrayBuffer();
+    } catch (error) {
+        throw new Error(`MediaPipe file ${file} failed to load: ${error.message}`);
+    }
+}
 
-        if (window.FaceMesh) {
-            FaceMesh = window.FaceMesh;
+async function verifyFaceMeshFiles() {
+    const files = faceMeshModelFiles();
+    const contents = await Promise.all(files.map(file => verifyFile(FACE_MESH, file)));
+
+    Object.values(verifiedUrls).forEach(url => URL.revokeObjectURL(url));
+    verifiedUrls = {};
+    verifiedScripts = {};
+    files.forEach((file, i) => {
+        const ext = file.slice(file.lastIndexOf('.') + 1);
+        const url = URL.createObjectURL(new Blob([contents[i]], { type: CONTENT_TYPES[ext] || 'application/octet-stream' }));
+        verifiedUrls[file] = url;
+        if (IN_WORKER && ext === 'js') {
+            verifiedScripts[url] = new TextDecoder().decode(contents[i]);
         }
-    } catch (e) {
-        console.warn('⚠️ Primary CDN failed, trying backup...');
-    }
+    });
+}
 
-    try {
-        // Method 2: Try camera utils
-        const script2 = document.createElement('script');
-        script2.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils';
-        document.head.appendChild(script2);
-
-        await new Promise((resolve, reject) => {
-            script2.onload = resolve;
-            script2.onerror = reject;
-            setTimeout(reject, 10000);
-        });
+// Run a script as classic global code, the way importScripts would
+function evalScript(text, url) {
+    (0, eval)(`${text}\n//# sourceURL=${url}`);
+}
 
-        if (window.Camera) {
-            Camera = window.Camera;
-        }
-    } catch (e) {
-        console.warn('⚠️ Camera utils failed');
+/**
+ * importScripts for the detection worker: runs the exact text that passed
+ * the integrity check and refuses any other URL, so nothing is downloaded
+ * again between the check and the eval.
+ */
+export function runVerifiedScript(url) {
+    if (!(url in verifiedScripts)) {
+        throw new Error(`Refusing to load unverified script ${url}`);
     }
+    evalScript(verifiedScripts[url], url);
+}
 
-    if (!FaceMesh || !Camera) {
-        throw new Error('MediaPipe libraries failed to load');
+function loadScript(pkg, file) {
+    if (IN_WORKER) {
+        return verifyFile(pkg, file).then(bytes => evalScript(new TextDecoder().decode(bytes), pkg.baseUrl + file));
     }
 
-    console.log('✅ MediaPipe loaded successfully');
-    return { FaceMesh, Camera };
+    return withTimeout(new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = pkg.baseUrl + file;
+        script.integrity = pkg.integrity[file];
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Could not load ${file} (missing or failed its integrity check)`));
+        };
+        document.head.appendChild(script);
+    }), file);
 }
 
-export async function initializeMediaPipe(videoElement, onResults) {
-    try {
-        console.log('🎬 Initializing MediaPipe for video element...');
-
-        // Load MediaPipe libraries
-        const { FaceMesh: FM, Camera: Cam } = await loadMediaPipe();
+function faceMeshModelFiles() {
+    const wasm = WebAssembly.validate(SIMD_PROBE)
+        ? 'face_mesh_solution_simd_wasm_bin'
+        : 'face_mesh_solution_wasm_bin';
+    return [
+        'face_mesh.binarypb',
+        'face_mesh_solution_packed_assets.data',
+        'face_mesh_solution_packed_assets_loader.js',
+        `${wasm}.js`,
+        `${wasm}.wasm`,
+    ];
+}
 
-        // Initialize Face Mesh
-        const faceMesh = new FM({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-            }
+// Load once, but let a later call try again after a failure
+function loadOnce(key, load) {
+    if (!loads[key]) {
+        loads[key] = load().catch((error) => {
+            delete loads[key];
+            throw error;
         });
+    }
+    return loads[key];
+}
 
-        // Configure Face Mesh
-        faceMesh.setOptions({
-            maxNumFaces: 1,
-            refineLandmarks: true,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
-        });
+/**
+ * Load Face Mesh from the app's own assets. Rejects with a readable
+ * message if any file is missing or altered.
+ */
+function loadFaceMesh() {
+    return loadOnce('faceMesh', async () => {
+        console.log(`🔄 Loading MediaPipe Face Mesh ${FACE_MESH.version}...`);
+
+        if (IN_WORKER) {
+            // On a page Face Mesh sets this up itself; in a worker the
+            // packed assets loader would otherwise look next to the worker
+            self.createMediapipeSolutionsPackedAssets = { locateFile: locateFaceMeshFile };
+        }
 
-        faceMesh.onResults(onResults);
+        await Promise.all([
+            loadScript(FACE_MESH, 'face_mesh.js'),
+            verifyFaceMeshFiles()
+        ]);
+        if (!globalThis.FaceMesh) {
+            throw new Error('Face Mesh script loaded but did not register FaceMesh');
+        }
+        console.log('✅ MediaPipe loaded successfully');
+        return globalThis.FaceMesh;
+    });
+}
+
+function loadCameraUtils() {
+    return loadOnce('camera', async () => {
+        await loadScript(CAMERA_UTILS, 'camera_utils.js');
+        if (!window.Camera) {
+            throw new Error('Camera utils loaded but did not register Camera');
+        }
+        return window.Camera;
+    });
+}
+
+/**
+ * Create a configured Face Mesh instance; works on a page or in a worker.
+ * @param {object} [options] - { maxNumFaces } (default 1; raise it to notice
+ *   other people in view, see utils/identity)
+ */
+export async function createFaceMesh(onResults, { maxNumFaces = 1 } = {}) {
+    const FM = await loadFaceMesh();
+
+    const faceMesh = new FM({ locateFile: locateFaceMeshFile });
+    faceMesh.setOptions({
+        maxNumFaces,
+        refineLandmarks: true,
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    });
+    faceMesh.onResults(onResults);
+    return faceMesh;
+}
+
+/**
+ * Start Face Mesh on a video element, on the main thread.
+ * @param {object} [options] - { maxNumFaces, throttle }: throttle is an
+ *   AdaptiveThrottle (utils/cpuBudget) deciding which camera frames to analyze
+ */
+export async function initializeMediaPipe(videoElement, onResults, { maxNumFaces = 1, throttle = null } = {}) {
+    try {
+        console.log('🎬 Initializing MediaPipe for video element...');
+
+        const [faceMesh, Cam] = await Promise.all([
+            createFaceMesh(onResults, { maxNumFaces }),
+            loadCameraUtils()
+        ]);
 
         // Initialize Camera
         const camera = new Cam(videoElement, {
             onFrame: async () => {
+                // Skip frames beyond the CPU budget
+                if (throttle && !throttle.due()) return;
+                const start = performance.now();
                 await faceMesh.send({ image: videoElement });
+                throttle?.record(performance.now() - start);
             },
             width: 640,
             height: 480
@@ -98,26 +238,36 @@ export async function initializeMediaPipe(videoElement, onResults) {
     }
 }
 
-export function extractAttentionFeatures(results) {
+/**
+ * Landmarks of the student's face (the closest one), or null if none.
+ */
+export function getPrimaryFace(results) {
+    const faces = results?.multiFaceLandmarks;
+    if (!faces || faces.length === 0) return null;
+    return faces[primaryFaceIndex(faces)];
+}
+
+// Shared by every caller that doesn't bring its own (e.g. a replay)
+const defaultPoseSmoother = new PoseSmoother();
+
+/**
+ * Per-frame attention features for the first face in a Face Mesh result.
+ * @param {object} results - Face Mesh onResults payload
+ * @param {object} [options] - { smoother, timestamp } to override the shared
+ *   head pose smoother and the capture time (defaults to now)
+ */
+export function extractAttentionFeatures(results, { smoother = defaultPoseSmoother, timestamp = Date.now() } = {}) {
     if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
         return null;
     }
 
-    const landmarks = results.multiFaceLandmarks[0];
+    // With several faces in view, analyze the one closest to the camera
+    const landmarks = getPrimaryFace(results);
 
     // Key landmark indices for eyes
     const LEFT_EYE = [33, 160, 158, 133, 153, 144];
     const RIGHT_EYE = [362, 385, 387, 263, 373, 380];
     
-    // Key landmarks for head pose estimation
-    const NOSE_TIP = 1;
-    const LEFT_EYE_OUTER = 33;
-    const RIGHT_EYE_OUTER = 263;
-    const LEFT_EYE_INNER = 133;
-    const RIGHT_EYE_INNER = 362;
-    const CHIN = 152;
-    const FOREHEAD = 10;
-
     // Calculate Eye Aspect Ratio (EAR) for drowsiness
     function calculateEAR(eyePoints) {
         const vertical1 = Math.hypot(
@@ -139,84 +289,45 @@ export function extractAttentionFeatures(results) {
     const rightEAR = calculateEAR(RIGHT_EYE);
     const ear = (leftEAR + rightEAR) / 2;
 
-    // ROBUST HEAD POSE CALCULATION - Multiple methods combined
-    function calculateHeadPose() {
-        const noseTip = landmarks[NOSE_TIP];
-        const leftEyeOuter = landmarks[LEFT_EYE_OUTER];
-        const rightEyeOuter = landmarks[RIGHT_EYE_OUTER];
-        const leftEyeInner = landmarks[LEFT_EYE_INNER];
-        const rightEyeInner = landmarks[RIGHT_EYE_INNER];
-        const chin = landmarks[CHIN];
-        const forehead = landmarks[FOREHEAD];
-
-        // METHOD 1: Eye asymmetry (most reliable for profile detection)
-        const leftEyeWidth = Math.abs(leftEyeOuter.x - leftEyeInner.x);
-        const rightEyeWidth = Math.abs(rightEyeOuter.x - rightEyeInner.x);
-        
-        // When head turns left: left eye gets smaller
-        // When head turns right: right eye gets smaller
-        const eyeAsymmetry = (rightEyeWidth - leftEyeWidth) / (rightEyeWidth + leftEyeWidth + 0.001);
-        const yawFromEyes = Math.round(eyeAsymmetry * 200); // Amplify the signal
-
-        // METHOD 2: Nose position relative to eye center
-        const eyeCenterX = (leftEyeOuter.x + rightEyeOuter.x) / 2;
-        const faceWidth = Math.abs(rightEyeOuter.x - leftEyeOuter.x);
-        const noseOffset = (noseTip.x - eyeCenterX) / (faceWidth + 0.001);
-        const yawFromNose = Math.round(noseOffset * 150);
-
-        // METHOD 3: Face width asymmetry
-        const leftSideWidth = Math.abs(noseTip.x - leftEyeOuter.x);
-        const rightSideWidth = Math.abs(rightEyeOuter.x - noseTip.x);
-        const sideAsymmetry = (rightSideWidth - leftSideWidth) / (rightSideWidth + leftSideWidth + 0.001);
-        const yawFromSides = Math.round(sideAsymmetry * 180);
-
-        // Combine all methods - use the strongest signal
-        const yawValues = [yawFromEyes, yawFromNose, yawFromSides];
-        const maxAbsYaw = yawValues.reduce((max, val) => 
-            Math.abs(val) > Math.abs(max) ? val : max, 0);
-        
-        const finalYaw = maxAbsYaw;
-
-        // PITCH calculation (up-down)
-        const faceHeight = Math.abs(forehead.y - chin.y);
-        const eyeCenterY = (leftEyeOuter.y + rightEyeOuter.y) / 2;
-        const noseOffsetY = (noseTip.y - eyeCenterY) / (faceHeight + 0.001);
-        const pitch = Math.round(noseOffsetY * 100);
-
-        console.log('🔍 Yaw calculations:', {
-            eyes: yawFromEyes + '°',
-            nose: yawFromNose + '°', 
-            sides: yawFromSides + '°',
-            final: finalYaw + '°'
-        });
-
-        return {
-            pitch: pitch,
-            yaw: finalYaw,
-            roll: 0
-        };
-    }
-
-    const head_pose = calculateHeadPose();
-
-    // Calculate gaze direction (for future use)
-    const leftIris = landmarks[468] || landmarks[LEFT_EYE_OUTER];
-    const rightIris = landmarks[473] || landmarks[RIGHT_EYE_OUTER];
-    const noseTip = landmarks[NOSE_TIP];
+    // Mouth Aspect Ratio (MAR) for yawns: inner lip openings over mouth width
+    const MOUTH_CORNERS = [78, 308];
+    const MOUTH_VERTICALS = [[81, 178], [13, 14], [311, 402]];
+    const distance = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+    const mouthWidth = distance(MOUTH_CORNERS[0], MOUTH_CORNERS[1]);
+    const mouthOpening = MOUTH_VERTICALS.reduce((sum, [a, b]) => sum + distance(a, b), 0) / MOUTH_VERTICALS.length;
+    const mar = mouthOpening / (mouthWidth || 1e-6);
+
+    // 3D head pose, fitted to a canonical face model and smoothed over time
+    const frame = {
+        width: results.image?.width || 640,
+        height: results.image?.height || 480
+    };
+    const rawPose = solveHeadPose(landmarks, frame);
+    const smoothed = smoother.update(rawPose, timestamp);
+    const head_pose = {
+        yaw: Math.round(smoothed.yaw * 10) / 10,
+        pitch: Math.round(smoothed.pitch * 10) / 10,
+        roll: Math.round(smoothed.roll * 10) / 10
+    };
 
-    const gazeX = ((leftIris.x + rightIris.x) / 2) - noseTip.x;
-    const gazeY = ((leftIris.y + rightIris.y) / 2) - noseTip.y;
+    // Where the eyes point, from the iris position plus head pose
+    const gaze = estimateGaze(landmarks, head_pose);
 
     console.log('🎯 Head Pose FINAL:', {
         yaw: head_pose.yaw + '°',
         pitch: head_pose.pitch + '°',
-        EAR: ear.toFixed(3)
+        roll: head_pose.roll + '°',
+        gaze: gaze ? `${gaze.yaw}° / ${gaze.pitch}°` : 'n/a',
+        EAR: ear.toFixed(3),
+        MAR: mar.toFixed(3)
     });
 
     return {
         eye_aspect_ratio: ear,
-        gaze_direction: { x: gazeX, y: gazeY },
+        mouth_aspect_ratio: mar,
+        gaze_direction: gaze,
         head_pose: head_pose,
-        timestamp: Date.now()
+        detector: 'face_mesh',
+        timestamp: timestamp
     };
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+// Bounded queue for outbound messages sent while the socket is down.
+// Entries are flushed in the order they were queued; priority only decides
+// what gets evicted when the queue is full.
+
+export const DeliveryStatus = Object.freeze({
+    SENT: 'sent',
+    QUEUED: 'queued',
+    DROPPED: 'dropped',
+    INVALID: 'invalid',
+});
+
+/**
+ * Receipt for a message that was settled immediately.
+ */
+export const settledReceipt = (type, status) => ({
+    id: null,
+    type,
+    status,
+    settled: Promise.resolve(status),
+});
+
+export class Outbox {
+    constructor({ maxSize = 200 } = {}) {
+        this.maxSize = maxSize;
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Queue a message. Returns a receipt whose `settled` promise resolves to
+     * 'sent' once flushed, or 'dropped' if the entry expires or is evicted.
+     */
+    enqueue(message, { priority = 0, ttl = null } = {}) {
+        this.removeExpired();
+
+        if (this.entries.length >= this.maxSize && !this.evictBelow(priority)) {
+            return settledReceipt(message.type, DeliveryStatus.DROPPED);
+        }
+
+        let settle;
+        const settled = new Promise((resolve) => { settle = resolve; });
+        const entry = {
+            id: this.nextId++,
+            message,
+            priority,
+            expiresAt: ttl ? Date.now() + ttl : null,
+            settle,
+        };
+        this.entries.push(entry);
+
+        return { id: entry.id, type: message.type, status: DeliveryStatus.QUEUED, settled };
+    }
+
+    /**
+     * Send queued messages in order until `sendFn` reports a failure.
+     * Returns the number of messages sent.
+     */
+    flush(sendFn) {
+        this.removeExpired();
+
+        let sent = 0;
+        while (this.entries.length > 0) {
+            const entry = this.entries[0];
+            if (!sendFn(entry.message)) break;
+            this.entries.shift();
+            entry.settle(DeliveryStatus.SENT);
+            sent++;
+        }
+        return sent;
+    }
+
+    clear() {
+        this.entries.forEach(entry => entry.settle(DeliveryStatus.DROPPED));
+        this.entries = [];
+    }
+
+    removeExpired() {
+        const now = Date.now();
+        this.entries = this.entries.filter((entry) => {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                entry.settle(DeliveryStatus.DROPPED);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // Evict the oldest entry with the lowest priority, provided it does not
+    // outrank the incoming message.
+    evictBelow(priority) {
+        let victim = -1;
+        this.entries.forEach((entry, index) => {
+            if (entry.priority > priority) return;
+            if (victim === -1 || entry.priority < this.entries[victim].priority) {
+                victim = index;
+            }
+        });
+
+        if (victim === -1) return false;
+        const [evicted] = this.entries.splice(victim, 1);
+        console.warn('⚠️ Outbox full, dropping queued', evicted.message.type);
+        evicted.settle(DeliveryStatus.DROPPED);
+        return true;
+    }
+}
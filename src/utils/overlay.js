@@ -0,0 +1,52 @@
+// Landmark overlay for the student's self-view. The camera preview is the
+// <video> element itself (mirrored in CSS); this draws only the detection
+// marks on a transparent canvas on top, so it can run on an OffscreenCanvas
+// in the detection worker as well as on the main thread.
+
+import { FACE_OVAL } from './redaction';
+
+const POINT_COLOR = '#00FF00';
+const OUTLINE_COLOR = '#00FF0088';
+const KEY_POINTS = [1, 33, 133, 362, 263, 152];
+
+/**
+ * Draw the detection overlay, mirrored to match the preview.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {object} detection - { landmarks } (Face Mesh, normalized) or
+ *   { blazeFace } (BlazeFace face, pixels); neither clears the overlay
+ */
+export const drawDetectionOverlay = (ctx, { landmarks = null, blazeFace = null } = {}) => {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  const dot = (x, y) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, 2 * Math.PI);
+    ctx.fill();
+  };
+
+  ctx.fillStyle = POINT_COLOR;
+  ctx.strokeStyle = OUTLINE_COLOR;
+  ctx.lineWidth = 2;
+
+  if (landmarks) {
+    KEY_POINTS.forEach(idx => dot(width - landmarks[idx].x * width, landmarks[idx].y * height));
+
+    ctx.beginPath();
+    FACE_OVAL.forEach((idx, i) => {
+      const x = width - landmarks[idx].x * width;
+      const y = landmarks[idx].y * height;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
+
+  if (blazeFace) {
+    const [x1, y1] = blazeFace.topLeft;
+    const [x2, y2] = blazeFace.bottomRight;
+    ctx.strokeRect(width - x2, y1, x2 - x1, y2 - y1);
+    blazeFace.landmarks?.slice(0, 4).forEach(([x, y]) => dot(width - x, y));
+  }
+};
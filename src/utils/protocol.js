@@ -0,0 +1,374 @@
+// WebSocket message protocol shared by the teacher and student pages.
+// Every message on the wire is an envelope of the form { type, data }.
+
+import { RedactionMode } from './redaction';
+
+export const ATTENTION_STATUSES = [
+    'attentive',
+    'looking_away',
+    'distracted',
+    'drowsy',
+    'no_face',
+    'multiple_faces',
+    'different_person',
+];
+
+// Which face detector produced an attention_update: Face Mesh, the BlazeFace
+// fallback (presence and head turn only), or nothing at all
+export const DETECTORS = ['face_mesh', 'blazeface', 'none'];
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high'];
+const USER_TYPES = ['teacher', 'student'];
+const REDACTION_MODES = Object.values(RedactionMode);
+
+/**
+ * Message schemas keyed by type.
+ *
+ * `inbound` describes `data` as sent by the server, `outbound` as sent by
+ * this client. A missing direction means the message is not allowed that
+ * way; `null` means the message carries no payload. Field specs are a type
+ * name ('string', 'number', 'boolean', 'object', 'array', 'any') with an
+ * optional trailing '?', or an array of allowed values.
+ */
+export const MESSAGE_SCHEMAS = {
+    // Connection
+    heartbeat: {
+        outbound: null,
+    },
+    heartbeat_ack: {
+        inbound: null,
+    },
+    error: {
+        // The server puts the error text on the envelope, not in `data`
+        inbound: null,
+    },
+
+    // Room lifecycle
+    room_created: {
+        inbound: { room_id: 'string', students: 'array?', teacher_token: 'string?' },
+    },
+    room_snapshot: {
+        // Sent instead of room_created when a teacher reclaims an existing room
+        inbound: {
+            room_id: 'string',
+            students: 'array',
+            alerts: 'array?',
+            messages: 'array?',
+            teacher_token: 'string?',
+            privacy_mode: 'boolean?',
+            redaction_mode: 'string?',
+            attention_engine: 'string?',
+            identity_check: 'boolean?',
+            detection_profile: 'object?',
+        },
+    },
+    room_closed: {
+        inbound: null,
+    },
+    participant_list: {
+        inbound: {
+            participants: 'array',
+            privacy_mode: 'boolean?',
+            redaction_mode: 'string?',
+            attention_engine: 'string?',
+            identity_check: 'boolean?',
+            detection_profile: 'object?',
+        },
+    },
+    student_join: {
+        inbound: { student_id: 'string', student_name: 'string', timestamp: 'any?' },
+    },
+    student_leave: {
+        inbound: { student_id: 'string', student_name: 'string?' },
+    },
+
+    // Attention monitoring
+    attention_update: {
+        inbound: {
+            student_id: 'string',
+            student_name: 'string?',
+            status: ATTENTION_STATUSES,
+            confidence: 'number?',
+            timestamp: 'any?',
+            eye_aspect_ratio: 'number?',
+            head_pose: 'object?',
+            gaze: 'object?',
+            mouth_aspect_ratio: 'number?',
+            fatigued: 'boolean?',
+            fatigue: 'object?',
+            reasons: 'array?',
+            detector: 'string?',
+        },
+        outbound: {
+            status: ATTENTION_STATUSES,
+            confidence: 'number',
+            timestamp: 'number',
+            eye_aspect_ratio: 'number?',
+            head_pose: 'object?',
+            gaze: 'object?',
+            mouth_aspect_ratio: 'number?',
+            fatigued: 'boolean?',
+            fatigue: 'object?',
+            reasons: 'array?',
+            detector: DETECTORS,
+        },
+    },
+    attention_telemetry: {
+        // Every few seconds: averaged signals behind the status and the rule
+        // that decided it (see telemetry.js). Only useful live, so never queued.
+        inbound: {
+            student_id: 'string',
+            timestamp: 'any?',
+            window_ms: 'number?',
+            samples: 'number?',
+            face_present_ratio: 'number?',
+            eye_aspect_ratio: 'number?',
+            head_pose: 'object?',
+            gaze: 'object?',
+            detector: 'string?',
+            status: ATTENTION_STATUSES,
+            confidence: 'number?',
+            rule: 'string?',
+            reasons: 'array?',
+        },
+        outbound: {
+            timestamp: 'number',
+            window_ms: 'number',
+            samples: 'number',
+            face_present_ratio: 'number',
+            eye_aspect_ratio: 'number?',
+            head_pose: 'object?',
+            gaze: 'object?',
+            detector: DETECTORS,
+            status: ATTENTION_STATUSES,
+            confidence: 'number',
+            rule: 'string?',
+            reasons: 'array',
+        },
+    },
+    camera_frame: {
+        inbound: { student_id: 'string', frame: 'string' },
+        outbound: { frame: 'string' },
+    },
+    privacy_mode: {
+        // Room-wide: when enabled no student sends camera images
+        inbound: { enabled: 'boolean' },
+        outbound: { enabled: 'boolean' },
+    },
+    student_privacy: {
+        // A single student opting out of sending camera images
+        inbound: { student_id: 'string', enabled: 'boolean' },
+        outbound: { enabled: 'boolean' },
+    },
+    redaction_policy: {
+        // Room-wide blur/pixelate policy applied to student frames on-device
+        inbound: { mode: REDACTION_MODES },
+        outbound: { mode: REDACTION_MODES },
+    },
+    attention_engine: {
+        // Room-wide choice of registered attention engine (see attentionEngine.js).
+        // A plain string so older clients can fall back on unknown names.
+        inbound: { engine: 'string' },
+        outbound: { engine: 'string' },
+    },
+    identity_check: {
+        // Room-wide: flag extra people in view or a student swapped for
+        // someone else. Runs on the student's device; no face data is sent.
+        inbound: { enabled: 'boolean' },
+        outbound: { enabled: 'boolean' },
+    },
+    detection_profile: {
+        // Room-wide { name, settings } scaling each student's thresholds
+        // (see detectionProfile.js); students validate it before applying
+        inbound: { name: 'string', settings: 'object' },
+        outbound: { name: 'string', settings: 'object' },
+    },
+    frame_feedback: {
+        // Teacher's measured receive rate, relayed to students to size frames
+        inbound: { receive_kbps: 'number', max_kbps: 'number', student_count: 'number' },
+        outbound: { receive_kbps: 'number', max_kbps: 'number', student_count: 'number' },
+    },
+    request_hd_stream: {
+        inbound: { student_id: 'string', enabled: 'boolean' },
+        outbound: { student_id: 'string', enabled: 'boolean' },
+    },
+    alert: {
+        inbound: {
+            student_id: 'string',
+            student_name: 'string',
+            alert_type: 'string',
+            message: 'string',
+            severity: ALERT_SEVERITIES,
+            timestamp: 'any?',
+        },
+    },
+    clear_alert: {
+        inbound: { student_id: 'string' },
+    },
+
+    // Chat
+    chat_message: {
+        inbound: {
+            user_name: 'string',
+            user_type: USER_TYPES,
+            message: 'string',
+            timestamp: 'any?',
+        },
+        outbound: { message: 'string' },
+    },
+
+    // Teacher camera
+    teacher_camera_frame: {
+        inbound: { frame: 'string' },
+        outbound: { frame: 'string' },
+    },
+    teacher_camera_stopped: {
+        inbound: null,
+        outbound: null,
+    },
+
+    // Audio and WebRTC signaling
+    audio_ready: {
+        outbound: { userId: 'string', userType: USER_TYPES },
+    },
+    audio_stopped: {
+        outbound: { userId: 'string', userType: USER_TYPES },
+    },
+    teacher_audio_ready: {
+        inbound: { teacher_id: 'string' },
+    },
+    student_audio_ready: {
+        inbound: { student_id: 'string' },
+    },
+    teacher_audio_stopped: {
+        inbound: { teacher_id: 'string' },
+    },
+    student_audio_stopped: {
+        inbound: { student_id: 'string' },
+    },
+    webrtc_offer: {
+        inbound: { offer: 'object', from_peer_id: 'string', to_peer_id: 'string?' },
+        outbound: { offer: 'object', to_peer_id: 'string', from_peer_id: 'string' },
+    },
+    webrtc_answer: {
+        inbound: { answer: 'object', from_peer_id: 'string', to_peer_id: 'string?' },
+        outbound: { answer: 'object', to_peer_id: 'string', from_peer_id: 'string' },
+    },
+    webrtc_ice_candidate: {
+        inbound: { candidate: 'object', from_peer_id: 'string', to_peer_id: 'string?' },
+        outbound: { candidate: 'object', to_peer_id: 'string', from_peer_id: 'string' },
+    },
+};
+
+export const MessageTypes = Object.freeze(
+    Object.keys(MESSAGE_SCHEMAS).reduce((types, type) => {
+        types[type.toUpperCase()] = type;
+        return types;
+    }, {})
+);
+
+export class ProtocolError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.errors = errors;
+    }
+}
+
+function matchesType(value, typeName) {
+    switch (typeName) {
+        case 'any': return true;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === typeName;
+    }
+}
+
+function validateField(name, spec, value) {
+    if (Array.isArray(spec)) {
+        return spec.includes(value) ? null : `${name} must be one of ${spec.join(', ')}`;
+    }
+
+    const optional = spec.endsWith('?');
+    const typeName = optional ? spec.slice(0, -1) : spec;
+
+    if (value === undefined || value === null) {
+        return optional ? null : `${name} is required`;
+    }
+    return matchesType(value, typeName) ? null : `${name} must be ${typeName}`;
+}
+
+/**
+ * Validate a message envelope against its schema.
+ * @param {object} message - { type, data }
+ * @param {'inbound'|'outbound'} direction
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateMessage = (message, direction) => {
+    if (!message || typeof message.type !== 'string') {
+        return { valid: false, errors: ['type is required'] };
+    }
+
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        return { valid: false, errors: [`unknown message type "${message.type}"`] };
+    }
+    if (!(direction in schema)) {
+        return { valid: false, errors: [`"${message.type}" is not an ${direction} message`] };
+    }
+
+    const payloadSpec = schema[direction];
+    if (payloadSpec === null) {
+        return { valid: true, errors: [] };
+    }
+    if (!matchesType(message.data, 'object')) {
+        return { valid: false, errors: ['data must be object'] };
+    }
+
+    const errors = Object.entries(payloadSpec)
+        .map(([name, spec]) => validateField(name, spec, message.data[name]))
+        .filter(Boolean);
+
+    return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Build a validated outbound message envelope.
+ * @throws {ProtocolError} if the payload does not match the schema
+ */
+export const createMessage = (type, data) => {
+    const message = data === undefined ? { type } : { type, data };
+    const { valid, errors } = validateMessage(message, 'outbound');
+    if (!valid) {
+        throw new ProtocolError(`Invalid outbound "${type}" message: ${errors.join('; ')}`, errors);
+    }
+    return message;
+};
+
+/**
+ * How outbound messages are handled while the socket is disconnected.
+ *
+ * Types marked `queue` wait in the outbox and are flushed on reconnect;
+ * everything else (camera frames, heartbeats) is only useful live and is
+ * dropped. `priority` decides what gets evicted first when the outbox is
+ * full, and `ttl` (ms) discards entries that would be stale on arrival.
+ */
+export const DELIVERY_POLICIES = {
+    chat_message: { queue: true, priority: 3 },
+    attention_update: { queue: true, priority: 2 },
+    teacher_camera_stopped: { queue: true, priority: 1 },
+    request_hd_stream: { queue: true, priority: 1, ttl: 10000 },
+    privacy_mode: { queue: true, priority: 3 },
+    student_privacy: { queue: true, priority: 3 },
+    redaction_policy: { queue: true, priority: 3 },
+    attention_engine: { queue: true, priority: 3 },
+    identity_check: { queue: true, priority: 3 },
+    detection_profile: { queue: true, priority: 3 },
+    audio_ready: { queue: true, priority: 1, ttl: 30000 },
+    audio_stopped: { queue: true, priority: 1, ttl: 30000 },
+    webrtc_offer: { queue: true, priority: 1, ttl: 10000 },
+    webrtc_answer: { queue: true, priority: 1, ttl: 10000 },
+    webrtc_ice_candidate: { queue: true, priority: 1, ttl: 10000 },
+};
+
+export const getDeliveryPolicy = (type) => DELIVERY_POLICIES[type] || { queue: false };
@@ -0,0 +1,133 @@
+// On-device redaction of outgoing student frames. Uses the Face Mesh
+// face-oval landmarks to blur or pixelate either everything around the face
+// or the face itself, so the teacher sees engagement without seeing the
+// student's room. When no face is found the whole frame is redacted: we
+// fail closed rather than leak a bedroom because detection blinked.
+
+export const RedactionMode = Object.freeze({
+    NONE: 'none',
+    BLUR_BACKGROUND: 'blur_background',
+    PIXELATE_BACKGROUND: 'pixelate_background',
+    BLUR_FACE: 'blur_face',
+    PIXELATE_FACE: 'pixelate_face',
+});
+
+export const REDACTION_LABELS = {
+    [RedactionMode.NONE]: 'No redaction',
+    [RedactionMode.BLUR_BACKGROUND]: 'Blur background',
+    [RedactionMode.PIXELATE_BACKGROUND]: 'Pixelate background',
+    [RedactionMode.BLUR_FACE]: 'Blur face',
+    [RedactionMode.PIXELATE_FACE]: 'Pixelate face',
+};
+
+// Face Mesh silhouette, in drawing order
+export const FACE_OVAL = [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109];
+
+// Grow the oval a little so hairline and ears don't get cut off
+const FACE_PADDING = 1.15;
+const BLUR_RADIUS_RATIO = 0.03;     // Blur radius as a share of frame width
+const PIXEL_BLOCK_RATIO = 0.04;     // Pixel block size as a share of frame width
+
+let effectCanvas = null;
+
+const isFaceMode = (mode) =>
+    mode === RedactionMode.BLUR_FACE || mode === RedactionMode.PIXELATE_FACE;
+
+const isPixelateMode = (mode) =>
+    mode === RedactionMode.PIXELATE_BACKGROUND || mode === RedactionMode.PIXELATE_FACE;
+
+const drawMirrored = (ctx, source, width, height) => {
+    ctx.save();
+    ctx.scale(-1, 1);
+    ctx.drawImage(source, -width, 0, width, height);
+    ctx.restore();
+};
+
+// Face oval in canvas pixels, mirrored to match the preview
+const faceOvalPath = (landmarks, width, height) => {
+    const points = FACE_OVAL.map(idx => ({
+        x: width - landmarks[idx].x * width,
+        y: landmarks[idx].y * height,
+    }));
+    const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+    const path = new Path2D();
+    points.forEach((p, i) => {
+        const x = cx + (p.x - cx) * FACE_PADDING;
+        const y = cy + (p.y - cy) * FACE_PADDING;
+        if (i === 0) path.moveTo(x, y);
+        else path.lineTo(x, y);
+    });
+    path.closePath();
+    return path;
+};
+
+// Draw a fully blurred or pixelated copy of the video onto ctx
+const drawObscured = (ctx, video, width, height, mode) => {
+    const usePixelate = isPixelateMode(mode) || typeof ctx.filter !== 'string';
+
+    if (!usePixelate) {
+        ctx.save();
+        ctx.filter = `blur(${Math.max(4, Math.round(width * BLUR_RADIUS_RATIO))}px)`;
+        drawMirrored(ctx, video, width, height);
+        ctx.restore();
+        return;
+    }
+
+    // Canvas filters aren't available everywhere (Safari), so pixelate by
+    // shrinking and scaling back up without smoothing
+    const block = Math.max(4, Math.round(width * PIXEL_BLOCK_RATIO));
+    if (!effectCanvas) effectCanvas = document.createElement('canvas');
+    effectCanvas.width = Math.max(1, Math.ceil(width / block));
+    effectCanvas.height = Math.max(1, Math.ceil(height / block));
+    const small = effectCanvas.getContext('2d');
+    drawMirrored(small, video, effectCanvas.width, effectCanvas.height);
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(effectCanvas, 0, 0, width, height);
+    ctx.restore();
+};
+
+/**
+ * Render the mirrored video frame into `canvas`, redacted per `mode`.
+ * @param {HTMLCanvasElement} canvas - target, already sized
+ * @param {HTMLVideoElement} video
+ * @param {Array|null} landmarks - Face Mesh landmarks for the current frame:
+ *   one face, or a list of faces so nobody else in view is left unredacted
+ * @param {string} mode - a RedactionMode value
+ */
+export const renderRedactedFrame = (canvas, video, landmarks, mode) => {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    if (mode === RedactionMode.NONE) {
+        drawMirrored(ctx, video, width, height);
+        return;
+    }
+
+    const faces = landmarks && !Array.isArray(landmarks[0]) ? [landmarks] : landmarks;
+    if (!faces || faces.length === 0) {
+        drawObscured(ctx, video, width, height, mode);
+        return;
+    }
+
+    const facePath = new Path2D();
+    faces.forEach(face => facePath.addPath(faceOvalPath(face, width, height)));
+
+    if (isFaceMode(mode)) {
+        drawMirrored(ctx, video, width, height);
+        ctx.save();
+        ctx.clip(facePath);
+        drawObscured(ctx, video, width, height, mode);
+        ctx.restore();
+    } else {
+        drawObscured(ctx, video, width, height, mode);
+        ctx.save();
+        ctx.clip(facePath);
+        drawMirrored(ctx, video, width, height);
+        ctx.restore();
+    }
+};
@@ -0,0 +1,194 @@
+// Record and replay Face Mesh landmark streams, so the attention pipeline
+// (feature extraction, attention engine, identity checks) can be run
+// deterministically without a webcam - in Node via scripts/replay.js, or
+// anywhere else the modules load. A replay produces a status timeline that
+// can be checked against hand-labeled expectations, which is how threshold
+// and engine changes get reviewed with evidence.
+//
+// Recording format (JSON):
+//   {
+//     version: 1,
+//     recordedAt, detector,
+//     frames: [{ t, width, height, faces: [[x, y, z, x, y, z, ...], ...] }],
+//     labels?: [{ from, to, status }]   // ms from the first frame
+//   }
+// Landmarks are stored flat and rounded to keep files manageable; they
+// never leave the device unless someone saves the file on purpose.
+
+import { extractAttentionFeatures } from './mediapipe';
+import { PoseSmoother } from './headPose';
+import { createAttentionEngine, DEFAULT_ATTENTION_ENGINE } from './attentionEngine';
+import { IdentityMonitor } from './identity';
+
+export const RECORDING_VERSION = 1;
+
+const PRECISION = 1e4;
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+
+const flattenFace = (landmarks) => {
+  const flat = new Array(landmarks.length * 3);
+  landmarks.forEach((point, i) => {
+    flat[i * 3] = round(point.x);
+    flat[i * 3 + 1] = round(point.y);
+    flat[i * 3 + 2] = round(point.z || 0);
+  });
+  return flat;
+};
+
+const unflattenFace = (flat) => {
+  const landmarks = [];
+  for (let i = 0; i < flat.length; i += 3) {
+    landmarks.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
+  }
+  return landmarks;
+};
+
+/**
+ * Collects detections into a recording.
+ */
+export class LandmarkRecorder {
+  constructor() {
+    this.frames = [];
+    this.detector = null;
+  }
+
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  get durationMs() {
+    return this.frames.length ? this.frames[this.frames.length - 1].t - this.frames[0].t : 0;
+  }
+
+  /**
+   * Record one detection.
+   * @param {Array|null} faces - Face Mesh multiFaceLandmarks (null if none)
+   * @param {object} frame - { width, height } of the analyzed image
+   * @param {number} timestamp - capture time the pipeline used
+   * @param {string} [detector] - see DETECTORS in protocol.js; a recording
+   *   with any frame from another detector than Face Mesh is marked as such
+   */
+  add(faces, frame, timestamp, detector = 'face_mesh') {
+    if (!this.detector || detector !== 'face_mesh') this.detector = detector;
+    this.frames.push({
+      t: timestamp,
+      width: frame?.width || 640,
+      height: frame?.height || 480,
+      faces: (faces || []).map(flattenFace),
+    });
+  }
+
+  clear() {
+    this.frames = [];
+    this.detector = null;
+  }
+
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      recordedAt: this.frames[0]?.t ?? Date.now(),
+      detector: this.detector || 'face_mesh',
+      frames: this.frames,
+    };
+  }
+}
+
+/**
+ * Turn a recorded frame back into a Face Mesh results object.
+ */
+export const toResults = (frame) => ({
+  multiFaceLandmarks: frame.faces.map(unflattenFace),
+  image: { width: frame.width, height: frame.height },
+});
+
+/**
+ * Run a recording through the attention pipeline.
+ * @param {object} recording - parsed recording JSON
+ * @param {object} [options] - { engine, thresholds, identityCheck }
+ * @returns {Array<{ t, status, confidence, reasons, rule, features }>} one entry
+ *   per frame; t is ms from the first frame
+ */
+export const replayRecording = (recording, { engine = DEFAULT_ATTENTION_ENGINE, thresholds, identityCheck = false } = {}) => {
+  if (recording?.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording?.version}`);
+  }
+  // Only Face Mesh frames carry landmarks; anything else would replay as no_face
+  if (recording.detector !== 'face_mesh') {
+    throw new Error(`Only Face Mesh recordings can be replayed; this one was made with ${recording.detector || 'an unknown detector'}`);
+  }
+
+  // Fresh state per replay so results don't depend on what ran before
+  const smoother = new PoseSmoother();
+  const attention = createAttentionEngine(engine, thresholds);
+  const identity = identityCheck ? new IdentityMonitor() : null;
+  const start = recording.frames[0]?.t ?? 0;
+
+  return recording.frames.map((frame) => {
+    const results = toResults(frame);
+    const features = extractAttentionFeatures(results, { smoother, timestamp: frame.t });
+    let result = attention.analyze(features);
+
+    const mismatch = identity?.update(results.multiFaceLandmarks, features?.head_pose, frame.t, results.image);
+    if (mismatch) {
+      result = { ...result, status: mismatch.status, confidence: 0.9, reasons: mismatch.reasons, rule: mismatch.status };
+    }
+
+    return {
+      t: frame.t - start,
+      status: result.status,
+      confidence: result.confidence,
+      reasons: result.reasons,
+      rule: result.rule,
+      features,
+    };
+  });
+};
+
+/**
+ * Collapse a timeline into runs of the same status.
+ * @returns {Array<{ status, from, to, frames }>}
+ */
+export const statusSegments = (timeline) => {
+  const segments = [];
+  timeline.forEach((entry, i) => {
+    const last = segments[segments.length - 1];
+    const end = timeline[i + 1]?.t ?? entry.t;
+    if (last && last.status === entry.status) {
+      last.to = end;
+      last.frames++;
+    } else {
+      segments.push({ status: entry.status, from: entry.t, to: end, frames: 1 });
+    }
+  });
+  return segments;
+};
+
+/**
+ * Check a timeline against labeled expectations.
+ * @param {Array} timeline - replayRecording() output
+ * @param {Array<{ from, to, status }>} labels - [from, to) in ms from the
+ *   first frame
+ * @param {object} [options] - { settleMs } ignored at the start of each
+ *   label while the engine's windows fill; { minAgreement } share of frames
+ *   that must match
+ * @returns {{ passed: boolean, results: Array<{ label, agreement, passed, seen }> }}
+ */
+export const compareTimeline = (timeline, labels, { settleMs = 1000, minAgreement = 0.8 } = {}) => {
+  const results = labels.map((label) => {
+    const frames = timeline.filter(entry => entry.t >= label.from + settleMs && entry.t < label.to);
+    const matching = frames.filter(entry => entry.status === label.status).length;
+    const agreement = frames.length ? matching / frames.length : 0;
+
+    const seen = {};
+    frames.forEach(entry => { seen[entry.status] = (seen[entry.status] || 0) + 1; });
+
+    return {
+      label,
+      agreement: Math.round(agreement * 100) / 100,
+      passed: frames.length > 0 && agreement >= minAgreement,
+      seen,
+    };
+  });
+
+  return { passed: results.every(result => result.passed), results };
+};
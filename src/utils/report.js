@@ -0,0 +1,246 @@
+// End-of-session report built on the teacher's device from what the
+// dashboard collected: per-student status histories and alerts (see
+// utils/timeline), the chat, and class engagement samples and segments (see
+// utils/engagement). Exported as JSON, CSV, or a print-styled HTML page the
+// browser can save as PDF.
+
+import { summarizeHistory, toTimestamp } from './timeline';
+import { segmentRanges, averageEngagement } from './engagement';
+import {
+  getStatusColor,
+  getStatusLabel,
+  formatTimeIST,
+  formatFullDateTimeIST,
+  formatDuration,
+} from './detection';
+
+export const REPORT_VERSION = 1;
+
+// Message timestamps may be epoch ms or ISO strings
+const toIso = (value) => new Date(toTimestamp(value)).toISOString();
+const percentOf = (part, whole) => (whole ? Math.round((part / whole) * 100) : null);
+
+/**
+ * Collect the session into a plain, serializable report.
+ * @param {object} session - { roomId, students, histories, messages,
+ *   engagement, segments, start, end }; students is the current list, so
+ *   students who never sent a status still appear
+ */
+export const buildSessionReport = ({ roomId, students, histories, messages, engagement, segments, start, end }) => {
+  const ids = new Set([...Object.keys(histories), ...students.map(student => student.id)]);
+
+  const studentReports = [...ids].map((id) => {
+    const history = histories[id] || { name: null, spans: [], alerts: [] };
+    const totals = summarizeHistory(history, end);
+    const tracked = Object.values(totals).reduce((sum, ms) => sum + ms, 0);
+
+    return {
+      id,
+      name: history.name || students.find(student => student.id === id)?.name || id,
+      attentive_percent: percentOf(totals.attentive || 0, tracked),
+      tracked_ms: tracked,
+      time_in_status_ms: totals,
+      alert_count: history.alerts.length,
+      alerts: history.alerts.map(alert => ({
+        timestamp: toIso(alert.timestamp),
+        type: alert.alert_type,
+        severity: alert.severity,
+        message: alert.message,
+      })),
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    version: REPORT_VERSION,
+    room_id: roomId,
+    started_at: toIso(start),
+    ended_at: toIso(end),
+    duration_ms: end - start,
+    students: studentReports,
+    engagement: {
+      average_percent: averageEngagement(engagement, start, end + 1),
+      samples: engagement.map(sample => ({ ...sample, timestamp: toIso(sample.timestamp) })),
+      segments: segmentRanges(segments, end).map(segment => ({
+        label: segment.label,
+        start: toIso(segment.start),
+        end: toIso(segment.end),
+        average_percent: averageEngagement(engagement, segment.start, segment.end),
+      })),
+    },
+    chat: messages.map(msg => ({
+      timestamp: msg.timestamp ? toIso(msg.timestamp) : null,
+      user_name: msg.user_name,
+      user_type: msg.user_type,
+      message: msg.message,
+    })),
+  };
+};
+
+export const reportToJSON = (report) => JSON.stringify(report, null, 2);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  // Chat and names are typed by students; don't let a spreadsheet run them as formulas
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvTable = (title, header, rows) => [
+  csvCell(title),
+  header.map(csvCell).join(','),
+  ...rows.map(row => row.map(csvCell).join(',')),
+].join('\n');
+
+const statusesIn = (report) => [...new Set(report.students.flatMap(student => Object.keys(student.time_in_status_ms)))];
+
+/**
+ * One CSV with a section per table (students, alerts, segments, engagement,
+ * chat), separated by blank lines. Durations are in seconds.
+ */
+export const reportToCSV = (report) => {
+  const statuses = statusesIn(report);
+  const seconds = (ms) => Math.round((ms || 0) / 1000);
+
+  return [
+    csvTable(
+      'Students',
+      ['name', 'attentive_percent', 'tracked_s', ...statuses.map(status => `${status}_s`), 'alerts'],
+      report.students.map(student => [
+        student.name,
+        student.attentive_percent,
+        seconds(student.tracked_ms),
+        ...statuses.map(status => seconds(student.time_in_status_ms[status])),
+        student.alert_count,
+      ])
+    ),
+    csvTable(
+      'Alerts',
+      ['timestamp', 'student', 'type', 'severity', 'message'],
+      report.students.flatMap(student => student.alerts.map(alert => [
+        alert.timestamp, student.name, alert.type, alert.severity, alert.message,
+      ]))
+    ),
+    csvTable(
+      'Segments',
+      ['label', 'start', 'end', 'average_percent'],
+      report.engagement.segments.map(segment => [segment.label, segment.start, segment.end, segment.average_percent])
+    ),
+    csvTable(
+      'Engagement',
+      ['timestamp', 'percent_attentive', 'attentive', 'total'],
+      report.engagement.samples.map(sample => [sample.timestamp, sample.percent, sample.attentive, sample.total])
+    ),
+    csvTable(
+      'Chat',
+      ['timestamp', 'user', 'role', 'message'],
+      report.chat.map(msg => [msg.timestamp, msg.user_name, msg.user_type, msg.message])
+    ),
+  ].join('\n\n') + '\n';
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const engagementSvg = (report) => {
+  const start = Date.parse(report.started_at);
+  const range = Math.max(Date.parse(report.ended_at) - start, 1);
+  const points = report.engagement.samples
+    .filter(sample => sample.percent !== null)
+    .map(sample => `${((Date.parse(sample.timestamp) - start) / range) * 1000},${100 - sample.percent}`);
+  if (points.length === 0) return '<p class="muted">No engagement samples recorded.</p>';
+
+  return `<svg viewBox="0 0 1000 100" preserveAspectRatio="none" class="chart">
+    <polyline points="${points.join(' ')}" fill="none" stroke="#22c55e" stroke-width="2" vector-effect="non-scaling-stroke" />
+  </svg>`;
+};
+
+/**
+ * Standalone HTML page, styled for printing (and so saving as PDF).
+ */
+export const reportToHTML = (report) => {
+  const start = Date.parse(report.started_at);
+  const end = Date.parse(report.ended_at);
+  const statuses = statusesIn(report);
+  const alerts = report.students
+    .flatMap(student => student.alerts.map(alert => ({ ...alert, student: student.name })))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Session report ${escapeHtml(report.room_id)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; margin: 32px; font-size: 13px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 2px solid #e5e7eb; padding-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; font-weight: 600; }
+  .muted { color: #6b7280; }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 4px; }
+  .chart { width: 100%; height: 120px; background: #f9fafb; border: 1px solid #e5e7eb; }
+  @page { margin: 16mm; }
+  @media print {
+    body { margin: 0; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>Session report · Room ${escapeHtml(report.room_id)}</h1>
+<p class="muted">${escapeHtml(formatFullDateTimeIST(start))} – ${escapeHtml(formatTimeIST(end))} (${formatDuration(report.duration_ms)}) ·
+  ${report.students.length} students · class average ${report.engagement.average_percent ?? '–'}% attentive</p>
+
+<h2>Students</h2>
+<table>
+  <tr><th>Student</th><th>Attentive</th>${statuses.map(status => `<th><span class="dot" style="background:${getStatusColor(status)}"></span>${escapeHtml(getStatusLabel(status))}</th>`).join('')}<th>Alerts</th></tr>
+  ${report.students.map(student => `<tr>
+    <td>${escapeHtml(student.name)}</td>
+    <td>${student.attentive_percent ?? '–'}%</td>
+    ${statuses.map(status => `<td>${formatDuration(student.time_in_status_ms[status] || 0)}</td>`).join('')}
+    <td>${student.alert_count}</td>
+  </tr>`).join('')}
+</table>
+
+<h2>Class engagement</h2>
+${engagementSvg(report)}
+<p class="muted">${escapeHtml(formatTimeIST(start))} – ${escapeHtml(formatTimeIST(end))}</p>
+${report.engagement.segments.length ? `<table>
+  <tr><th>Segment</th><th>From</th><th>To</th><th>Attentive</th></tr>
+  ${report.engagement.segments.map(segment => `<tr>
+    <td>${escapeHtml(segment.label)}</td>
+    <td>${escapeHtml(formatTimeIST(segment.start))}</td>
+    <td>${escapeHtml(formatTimeIST(segment.end))}</td>
+    <td>${segment.average_percent ?? '–'}%</td>
+  </tr>`).join('')}
+</table>` : ''}
+
+<h2>Alerts (${alerts.length})</h2>
+${alerts.length ? `<table>
+  <tr><th>Time</th><th>Student</th><th>Severity</th><th>Message</th></tr>
+  ${alerts.map(alert => `<tr>
+    <td>${escapeHtml(formatTimeIST(alert.timestamp, { seconds: true }))}</td>
+    <td>${escapeHtml(alert.student)}</td>
+    <td>${escapeHtml(alert.severity)}</td>
+    <td>${escapeHtml(alert.message)}</td>
+  </tr>`).join('')}
+</table>` : '<p class="muted">No alerts.</p>'}
+
+<h2>Chat (${report.chat.length})</h2>
+${report.chat.length ? `<table>
+  <tr><th>Time</th><th>From</th><th>Message</th></tr>
+  ${report.chat.map(msg => `<tr>
+    <td>${escapeHtml(formatTimeIST(msg.timestamp))}</td>
+    <td>${escapeHtml(msg.user_name)}${msg.user_type === 'teacher' ? ' (teacher)' : ''}</td>
+    <td>${escapeHtml(msg.message)}</td>
+  </tr>`).join('')}
+</table>` : '<p class="muted">No messages.</p>'}
+</body>
+</html>
+`;
+};
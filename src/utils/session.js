@@ -0,0 +1,87 @@
+// Tab-scoped session persistence so a refresh or crash doesn't turn a
+// participant into a stranger. sessionStorage survives reloads but not
+// closing the tab, which is the lifetime we want for a class session.
+
+const STUDENT_SESSION_KEY = 'live-feedback:student-session';
+const TEACHER_SESSION_KEY = 'live-feedback:teacher-session';
+const MAX_STORED_MESSAGES = 200;
+
+/**
+ * Generate an unguessable token for resuming a session.
+ */
+export const generateSessionToken = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const loadSession = (key) => {
+  try {
+    const raw = window.sessionStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('Error loading session:', error);
+    return null;
+  }
+};
+
+export const saveSession = (key, session) => {
+  try {
+    window.sessionStorage.setItem(key, JSON.stringify(session));
+  } catch (error) {
+    // Quota errors shouldn't break the class; we just lose resumability
+    console.error('Error saving session:', error);
+  }
+};
+
+export const clearSession = (key) => {
+  try {
+    window.sessionStorage.removeItem(key);
+  } catch (error) {
+    console.error('Error clearing session:', error);
+  }
+};
+
+/**
+ * Create a new student session for a room.
+ */
+export const createStudentSession = (studentName, roomCode) => ({
+  studentId: `student_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  token: generateSessionToken(),
+  studentName,
+  roomCode,
+  messages: [],
+  cameraEnabled: true,
+  calibration: null,
+});
+
+export const loadStudentSession = () => {
+  const session = loadSession(STUDENT_SESSION_KEY);
+  if (!session?.studentId || !session?.token || !session?.roomCode) return null;
+  return session;
+};
+
+export const saveStudentSession = (session) => {
+  saveSession(STUDENT_SESSION_KEY, {
+    ...session,
+    messages: (session.messages || []).slice(-MAX_STORED_MESSAGES),
+  });
+};
+
+export const clearStudentSession = () => clearSession(STUDENT_SESSION_KEY);
+
+/**
+ * Load the teacher's session, creating a fresh token if there is none.
+ * `roomId` stays null until the server assigns a room.
+ */
+export const loadTeacherSession = () => {
+  const session = loadSession(TEACHER_SESSION_KEY);
+  if (session?.token) return session;
+  return { token: generateSessionToken(), roomId: null };
+};
+
+export const saveTeacherSession = (session) => saveSession(TEACHER_SESSION_KEY, session);
+
+export const clearTeacherSession = () => clearSession(TEACHER_SESSION_KEY);
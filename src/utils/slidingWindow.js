@@ -0,0 +1,101 @@
+// Time-based windows over detection samples. MediaPipe delivers results as
+// fast as the device allows (anywhere from ~3 fps on a Chromebook to 30+ on
+// a laptop), so durations must come from timestamps, never frame counts.
+
+/**
+ * Samples of the last `spanMs` milliseconds, oldest first.
+ */
+export class SlidingWindow {
+  constructor(spanMs) {
+    this.spanMs = spanMs;
+    this.samples = [];
+  }
+
+  push(timestamp, value) {
+    this.samples.push({ timestamp, value });
+    this.prune(timestamp);
+  }
+
+  prune(now) {
+    const cutoff = now - this.spanMs;
+    while (this.samples.length > 0 && this.samples[0].timestamp < cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  clear() {
+    this.samples = [];
+  }
+
+  /**
+   * Samples from the last `durationMs` before `now`.
+   */
+  recent(durationMs, now) {
+    const cutoff = now - durationMs;
+    return this.samples.filter(sample => sample.timestamp >= cutoff);
+  }
+
+  /**
+   * How long (ms) `predicate` has held for every sample up to the newest one.
+   * Returns 0 if it doesn't hold for the newest sample.
+   */
+  heldFor(predicate) {
+    const newest = this.samples[this.samples.length - 1];
+    if (!newest || !predicate(newest.value)) return 0;
+
+    let since = newest.timestamp;
+    for (let i = this.samples.length - 2; i >= 0; i--) {
+      if (!predicate(this.samples[i].value)) break;
+      since = this.samples[i].timestamp;
+    }
+    return newest.timestamp - since;
+  }
+
+  /**
+   * Share of samples in the last `durationMs` that satisfy `predicate`, or
+   * 0 when the window doesn't yet reach back `durationMs` (minus one frame
+   * of slack, `frameMs`) or has fewer than `minSamples` samples.
+   */
+  fraction(predicate, durationMs, now, { frameMs = 0, minSamples = 1 } = {}) {
+    const oldest = this.samples[0];
+    if (!oldest || now - oldest.timestamp < durationMs - frameMs) return 0;
+
+    const recent = this.recent(durationMs, now);
+    if (recent.length < minSamples) return 0;
+    return recent.filter(sample => predicate(sample.value)).length / recent.length;
+  }
+}
+
+/**
+ * Exponentially smoothed frame rate from sample timestamps.
+ */
+export class FrameRateEstimator {
+  constructor(smoothing = 0.1, maxGapMs = 2000) {
+    this.smoothing = smoothing;
+    // Gaps longer than this (tab hidden, camera stalled) aren't frame intervals
+    this.maxGapMs = maxGapMs;
+    this.lastTimestamp = null;
+    this.intervalMs = null;
+  }
+
+  record(timestamp) {
+    if (this.lastTimestamp !== null) {
+      const interval = timestamp - this.lastTimestamp;
+      if (interval > 0 && interval <= this.maxGapMs) {
+        this.intervalMs = this.intervalMs === null
+          ? interval
+          : this.intervalMs + this.smoothing * (interval - this.intervalMs);
+      }
+    }
+    this.lastTimestamp = timestamp;
+  }
+
+  reset() {
+    this.lastTimestamp = null;
+    this.intervalMs = null;
+  }
+
+  get fps() {
+    return this.intervalMs ? 1000 / this.intervalMs : 0;
+  }
+}
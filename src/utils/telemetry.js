@@ -0,0 +1,96 @@
+// Periodic attention telemetry. Status updates only say *what* a student's
+// status is, and only when it changes; telemetry says *why*, every few
+// seconds: the averaged signals behind the status and the rule that decided
+// it. Derived numbers only, so it is sent in privacy mode too.
+
+export const TELEMETRY_INTERVAL_MS = 5000;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const mean = ({ sum, count }, digits) => (count ? round(sum / count, digits) : null);
+
+const makeSums = () => ({ sum: 0, count: 0 });
+
+const addTo = (sums, value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    sums.sum += value;
+    sums.count++;
+  }
+};
+
+/**
+ * Averages detections between two flush() calls.
+ */
+export class TelemetryAggregator {
+  constructor() {
+    this.reset();
+  }
+
+  reset(now = Date.now()) {
+    this.start = now;
+    this.samples = 0;
+    this.faces = 0;
+    this.ear = makeSums();
+    this.yaw = makeSums();
+    this.pitch = makeSums();
+    this.roll = makeSums();
+    this.gazeYaw = makeSums();
+    this.gazePitch = makeSums();
+    this.latest = null;
+  }
+
+  /**
+   * Record one detection.
+   * @param {object|null} features - extractAttentionFeatures() output
+   * @param {object} result - engine result (after identity overrides)
+   * @param {string} detector - see DETECTORS in protocol.js
+   */
+  add(features, result, detector) {
+    this.samples++;
+    if (features) {
+      this.faces++;
+      addTo(this.ear, features.eye_aspect_ratio);
+      addTo(this.yaw, features.head_pose?.yaw);
+      addTo(this.pitch, features.head_pose?.pitch);
+      addTo(this.roll, features.head_pose?.roll);
+      addTo(this.gazeYaw, features.gaze_direction?.yaw);
+      addTo(this.gazePitch, features.gaze_direction?.pitch);
+    }
+    this.latest = { result, detector };
+  }
+
+  /**
+   * Summarize and start a new interval.
+   * @returns {object|null} attention_telemetry payload, or null if nothing
+   *   was detected since the last flush
+   */
+  flush(now = Date.now()) {
+    if (!this.latest) {
+      this.reset(now);
+      return null;
+    }
+
+    const { result, detector } = this.latest;
+    const yaw = mean(this.yaw, 1);
+    const summary = {
+      timestamp: now,
+      window_ms: now - this.start,
+      samples: this.samples,
+      face_present_ratio: round(this.faces / this.samples, 2),
+      eye_aspect_ratio: mean(this.ear, 3),
+      head_pose: yaw === null ? null : { yaw, pitch: mean(this.pitch, 1), roll: mean(this.roll, 1) },
+      gaze: this.gazeYaw.count ? { yaw: mean(this.gazeYaw, 1), pitch: mean(this.gazePitch, 1) } : null,
+      detector,
+      status: result.status,
+      confidence: result.confidence,
+      rule: result.rule || null,
+      reasons: result.reasons || [],
+    };
+
+    this.reset(now);
+    return summary;
+  }
+}
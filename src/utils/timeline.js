@@ -0,0 +1,72 @@
+// Per-student attention history for the teacher dashboard: every status
+// span and alert of the session, so transitions aren't lost when the next
+// attention_update replaces a student's current status. Histories are
+// plain objects updated immutably, for React state:
+//   { name, spans: [{ status, from, to }], alerts: [alert] }
+// `to` is null while a span is still open.
+
+const MAX_SPANS = 2000;
+const MAX_ALERTS = 200;
+
+export const EMPTY_HISTORY = { name: null, spans: [], alerts: [] };
+
+/**
+ * Epoch ms from a message timestamp (number or ISO string); now if missing.
+ */
+export const toTimestamp = (value) => {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : Date.now();
+};
+
+/**
+ * Record that a student has `status` from `timestamp` on. Repeats of the
+ * current status extend the open span instead of starting a new one.
+ */
+export const recordStatus = (history = EMPTY_HISTORY, status, timestamp, name = history.name) => {
+  const spans = history.spans;
+  const last = spans[spans.length - 1];
+  if (last && last.to === null && last.status === status) {
+    return name === history.name ? history : { ...history, name };
+  }
+
+  // Queued updates can arrive late; never start before the previous span
+  const from = last ? Math.max(timestamp, last.from) : timestamp;
+  const closed = last && last.to === null
+    ? [...spans.slice(0, -1), { ...last, to: from }]
+    : spans;
+
+  return {
+    ...history,
+    name,
+    spans: [...closed, { status, from, to: null }].slice(-MAX_SPANS),
+  };
+};
+
+/**
+ * End the open span, e.g. when the student leaves.
+ */
+export const closeHistory = (history, timestamp) => {
+  const last = history?.spans[history.spans.length - 1];
+  if (!last || last.to !== null) return history;
+  return {
+    ...history,
+    spans: [...history.spans.slice(0, -1), { ...last, to: Math.max(timestamp, last.from) }],
+  };
+};
+
+export const recordAlert = (history = EMPTY_HISTORY, alert) => ({
+  ...history,
+  name: history.name || alert.student_name,
+  alerts: [...history.alerts, alert].slice(-MAX_ALERTS),
+});
+
+/**
+ * Milliseconds spent in each status up to `now`.
+ */
+export const summarizeHistory = (history, now = Date.now()) => {
+  const totals = {};
+  (history?.spans || []).forEach(({ status, from, to }) => {
+    totals[status] = (totals[status] || 0) + ((to ?? now) - from);
+  });
+  return totals;
+};
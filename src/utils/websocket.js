@@ -1,61 +1,330 @@
+import { createMessage, validateMessage, getDeliveryPolicy, ProtocolError } from './protocol';
+import { Outbox, DeliveryStatus, settledReceipt } from './outbox';
+import { encodeFrame, decodeFrame } from './frames';
+
+export const ConnectionState = Object.freeze({
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting',
+    OFFLINE: 'offline',
+    FAILED: 'failed',
+    CLOSED: 'closed',
+});
+
+const DEFAULT_RECONNECT_OPTIONS = {
+    initialDelay: 1000,     // First retry after ~1s
+    maxDelay: 30000,        // Never wait more than 30s between attempts
+    multiplier: 2,
+    jitter: 0.3,            // ±30% so a whole class doesn't retry in lockstep
+    maxAttempts: 12,        // About five minutes, then FAILED and a Retry button
+};
+
 export class WebSocketManager {
-    constructor(url, onMessage) {
+    constructor(url, { maxOutboxSize = 200, reconnect = {}, binaryFrames = true } = {}) {
         this.url = url;
-        this.onMessage = onMessage;
         this.ws = null;
+        this.handlers = new Map();
+        this.stateListeners = new Set();
+        this.frameListeners = new Set();
+        this.binaryFrames = binaryFrames;
+        this.frameSeq = 0;
+        this.outbox = new Outbox({ maxSize: maxOutboxSize });
+        this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...reconnect };
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 3000;
+        this.reconnectTimer = null;
         this.heartbeatInterval = null;
-        this.shouldReconnect = true; // ADD THIS LINE
+        this.shouldReconnect = true;
+        this.listeningToBrowser = false;
+        this.state = ConnectionState.IDLE;
+
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleOffline = this.handleOffline.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
     }
 
+    /**
+     * Start the connection. The manager keeps reconnecting on its own; the
+     * returned promise resolves the first time the socket opens and rejects
+     * only if the manager gives up or is disconnected first.
+     */
     connect() {
-        return new Promise((resolve, reject) => {
-            try {
-                this.ws = new WebSocket(this.url);
+        this.shouldReconnect = true;
+        this.reconnectAttempts = 0;
+        this.addBrowserListeners();
+        if (this.isConnected()) return Promise.resolve();
 
-                this.ws.onopen = () => {
-                    console.log('✅ WebSocket connected');
-                    this.reconnectAttempts = 0;
-                    this.startHeartbeat();
+        const opened = new Promise((resolve, reject) => {
+            // onStateChange reports the current state straight away; a CLOSED
+            // or FAILED left from before must not settle this attempt
+            let subscribed = false;
+            const unsubscribe = this.onStateChange((state) => {
+                if (!subscribed) return;
+                if (state === ConnectionState.OPEN) {
+                    unsubscribe();
                     resolve();
-                };
-
-                this.ws.onmessage = (event) => {
-                    try {
-                        const data = JSON.parse(event.data);
-                        if (this.onMessage && data.type !== 'heartbeat_ack') {
-                            this.onMessage(data);
-                        }
-                    } catch (err) {
-                        console.error('❌ Error parsing message:', err);
-                    }
-                };
-
-                this.ws.onerror = (error) => {
-                    console.error('❌ WebSocket error:', error);
-                    reject(error);
-                };
-
-                this.ws.onclose = () => {
-                    console.log('🔌 WebSocket disconnected');
-                    this.stopHeartbeat();
-                    if (this.shouldReconnect) { // ADD THIS CHECK
-                        this.attemptReconnect();
-                    }
-                };
+                } else if (state === ConnectionState.FAILED || state === ConnectionState.CLOSED) {
+                    unsubscribe();
+                    reject(new Error(`WebSocket ${state}`));
+                }
+            });
+            subscribed = true;
+        });
+
+        this.open();
+        return opened;
+    }
+
+    open() {
+        this.clearReconnectTimer();
+        if (this.ws && this.ws.readyState <= WebSocket.OPEN) return;
+
+        this.setState(
+            this.reconnectAttempts > 0 ? ConnectionState.RECONNECTING : ConnectionState.CONNECTING,
+            { attempt: this.reconnectAttempts }
+        );
+
+        let ws;
+        try {
+            ws = new WebSocket(this.getUrl());
+        } catch (err) {
+            console.error('❌ WebSocket error:', err);
+            this.scheduleReconnect();
+            return;
+        }
+        this.ws = ws;
+        ws.binaryType = 'arraybuffer';
+
+        ws.onopen = () => {
+            console.log('✅ WebSocket connected');
+            this.reconnectAttempts = 0;
+            this.startHeartbeat();
+            this.setState(ConnectionState.OPEN);
+            this.flushOutbox();
+        };
+
+        ws.onmessage = (event) => {
+            if (event.data instanceof ArrayBuffer) {
+                this.dispatchFrame(event.data);
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(event.data);
             } catch (err) {
-                reject(err);
+                console.error('❌ Error parsing message:', err);
+                return;
+            }
+            this.dispatch(message);
+        };
+
+        ws.onerror = (error) => {
+            console.error('❌ WebSocket error:', error);
+        };
+
+        ws.onclose = () => {
+            // Ignore sockets that were replaced or closed by disconnect()
+            if (ws !== this.ws) return;
+
+            console.log('🔌 WebSocket disconnected');
+            this.ws = null;
+            this.stopHeartbeat();
+            if (this.shouldReconnect) {
+                this.scheduleReconnect();
+            }
+        };
+    }
+
+    // `url` may be a function so callers can change query params (e.g. a
+    // room to reclaim) between reconnect attempts
+    getUrl() {
+        return typeof this.url === 'function' ? this.url() : this.url;
+    }
+
+    scheduleReconnect() {
+        this.clearReconnectTimer();
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            // Wait for the browser's 'online' event instead of burning attempts
+            this.setState(ConnectionState.OFFLINE);
+            return;
+        }
+
+        const { maxAttempts } = this.reconnectOptions;
+        if (this.reconnectAttempts >= maxAttempts) {
+            console.error(`❌ Giving up after ${this.reconnectAttempts} reconnect attempts`);
+            this.setState(ConnectionState.FAILED, { attempt: this.reconnectAttempts });
+            return;
+        }
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.reconnectAttempts++;
+        console.log(`🔄 Reconnecting in ${Math.round(delay)}ms... Attempt ${this.reconnectAttempts}`);
+        this.setState(ConnectionState.RECONNECTING, { attempt: this.reconnectAttempts, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open();
+        }, delay);
+    }
+
+    getReconnectDelay(attempt) {
+        const { initialDelay, maxDelay, multiplier, jitter } = this.reconnectOptions;
+        const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt));
+        const spread = base * jitter * (Math.random() * 2 - 1);
+        return Math.max(0, Math.min(maxDelay, base + spread));
+    }
+
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * Retry immediately, e.g. from a "Retry" button after the manager failed.
+     */
+    reconnect() {
+        if (!this.shouldReconnect || this.isConnected()) return;
+        this.reconnectAttempts = 0;
+        this.open();
+    }
+
+    handleOnline() {
+        console.log('🌐 Network back online');
+        this.reconnect();
+    }
+
+    handleOffline() {
+        console.log('📴 Network offline');
+        this.clearReconnectTimer();
+        if (this.ws) {
+            // The socket is usually dead already; close it so onclose parks us offline
+            this.ws.close();
+        } else if (this.shouldReconnect) {
+            this.setState(ConnectionState.OFFLINE);
+        }
+    }
+
+    handleVisibilityChange() {
+        // Background tabs throttle timers, so retry as soon as the tab is visible
+        if (document.visibilityState === 'visible' && !this.ws) {
+            this.reconnect();
+        }
+    }
+
+    addBrowserListeners() {
+        if (typeof window === 'undefined' || this.listeningToBrowser) return;
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.listeningToBrowser = true;
+    }
+
+    removeBrowserListeners() {
+        if (typeof window === 'undefined' || !this.listeningToBrowser) return;
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.listeningToBrowser = false;
+    }
+
+    /**
+     * Subscribe to connection state changes. The handler is called with
+     * (state, details) and immediately with the current state.
+     * Returns an unsubscribe function.
+     */
+    onStateChange(handler) {
+        this.stateListeners.add(handler);
+        handler(this.state, {});
+        return () => this.stateListeners.delete(handler);
+    }
+
+    setState(state, details = {}) {
+        this.state = state;
+        this.stateListeners.forEach((handler) => {
+            try {
+                handler(state, details);
+            } catch (err) {
+                console.error('❌ Error in connection state handler:', err);
+            }
+        });
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Subscribe to one message type. Use '*' to receive every valid message.
+     * Returns an unsubscribe function.
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+            if (handlers.size === 0) this.handlers.delete(type);
+        }
+    }
+
+    dispatch(message) {
+        const { valid, errors } = validateMessage(message, 'inbound');
+        if (!valid) {
+            console.warn('⚠️ Dropping invalid message:', message?.type, errors);
+            return;
+        }
+        if (message.type === 'heartbeat_ack') return;
+
+        const listeners = [
+            ...(this.handlers.get(message.type) || []),
+            ...(this.handlers.get('*') || []),
+        ];
+        listeners.forEach((handler) => {
+            try {
+                handler(message);
+            } catch (err) {
+                console.error(`❌ Error in "${message.type}" handler:`, err);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to binary camera frames. The handler receives the decoded
+     * frame (see utils/frames). Returns an unsubscribe function.
+     */
+    onFrame(handler) {
+        this.frameListeners.add(handler);
+        return () => this.frameListeners.delete(handler);
+    }
+
+    dispatchFrame(buffer) {
+        const frame = decodeFrame(buffer);
+        if (!frame) {
+            console.warn('⚠️ Dropping malformed binary frame');
+            return;
+        }
+        this.frameListeners.forEach((handler) => {
+            try {
+                handler(frame);
+            } catch (err) {
+                console.error('❌ Error in frame handler:', err);
             }
         });
     }
 
     startHeartbeat() {
         this.heartbeatInterval = setInterval(() => {
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.send({ type: 'heartbeat' });
-            }
+            this.send('heartbeat');
         }, 30000);
     }
 
@@ -66,36 +335,96 @@ export class WebSocketManager {
         }
     }
 
-    attemptReconnect() {
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            console.log(`🔄 Reconnecting... Attempt ${this.reconnectAttempts}`);
-            setTimeout(() => {
-                this.connect().catch(console.error);
-            }, this.reconnectDelay);
+    /**
+     * Validate and send a message. Returns a delivery receipt
+     * `{ id, type, status, settled }`: status is 'sent', 'queued', 'dropped'
+     * or 'invalid', and `settled` resolves to the final status once a queued
+     * message is flushed or discarded.
+     */
+    send(type, data) {
+        let message;
+        try {
+            message = createMessage(type, data);
+        } catch (err) {
+            if (!(err instanceof ProtocolError)) throw err;
+            console.error('❌', err.message);
+            return settledReceipt(type, DeliveryStatus.INVALID);
+        }
+
+        // Keep ordering intact: nothing jumps ahead of messages still queued
+        if (this.isConnected()) this.flushOutbox();
+        if (this.outbox.size === 0 && this.transmit(message)) {
+            return settledReceipt(type, DeliveryStatus.SENT);
+        }
+
+        const policy = getDeliveryPolicy(type);
+        if (!policy.queue) {
+            return settledReceipt(type, DeliveryStatus.DROPPED);
+        }
+
+        console.log(`📦 Queued ${type} (${this.outbox.size + 1} waiting)`);
+        return this.outbox.enqueue(message, policy);
+    }
+
+    /**
+     * Send a camera frame as a binary message. Frames are only useful live,
+     * so they are never queued. Returns 'sent' or 'dropped'.
+     */
+    sendFrame({ kind, senderId, mimeType, bytes, timestamp = Date.now() }) {
+        if (!this.binaryFrames || !this.isConnected()) {
+            return DeliveryStatus.DROPPED;
         }
+
+        this.frameSeq = (this.frameSeq + 1) >>> 0;
+        const buffer = encodeFrame({ kind, senderId, seq: this.frameSeq, timestamp, mimeType, bytes });
+        this.ws.send(buffer);
+        return DeliveryStatus.SENT;
+    }
+
+    getBufferedAmount() {
+        return this.ws ? this.ws.bufferedAmount : 0;
     }
 
-    send(data) {
+    supportsBinaryFrames() {
+        return this.binaryFrames;
+    }
+
+    transmit(message) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify(data));
+            this.ws.send(JSON.stringify(message));
             return true;
         }
-        console.warn('⚠️ Cannot send - WebSocket not connected');
         return false;
     }
 
+    flushOutbox() {
+        if (this.outbox.size === 0) return;
+        const sent = this.outbox.flush(message => this.transmit(message));
+        console.log(`📤 Flushed ${sent} queued message(s)`);
+    }
+
+    getPendingCount() {
+        return this.outbox.size;
+    }
+
     disconnect() {
         console.log('🛑 Disconnecting WebSocket...');
-        this.shouldReconnect = false; // ADD THIS LINE - Stop auto-reconnect
+        this.shouldReconnect = false;
+        this.clearReconnectTimer();
+        this.removeBrowserListeners();
         this.stopHeartbeat();
+        this.handlers.clear();
+        this.frameListeners.clear();
+        this.outbox.clear();
         if (this.ws) {
             this.ws.close();
             this.ws = null;
         }
+        this.setState(ConnectionState.CLOSED);
+        this.stateListeners.clear();
     }
 
     isConnected() {
         return this.ws && this.ws.readyState === WebSocket.OPEN;
     }
-}
\ No newline at end of file
+}
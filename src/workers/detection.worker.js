@@ -0,0 +1,170 @@
+// Face detection off the main thread. StudentCamera posts camera frames
+// (VideoFrame or ImageBitmap) here one at a time; the worker runs Face Mesh,
+// or BlazeFace if Face Mesh can't start, draws the landmark overlay on the
+// OffscreenCanvas it was handed, and posts back the features and landmarks.
+//
+// Messages in:
+//   { type: 'init', canvas?, maxNumFaces }  (re)start the detector chain
+//   { type: 'frame', frame, timestamp }      analyze one frame (transferred)
+//   { type: 'options', maxNumFaces }
+// Messages out:
+//   { type: 'ready', detector, errors }      detector is one of DETECTORS
+//   { type: 'result', faces, faceCount, features, frame, costMs }
+//   { type: 'result', skipped: true, costMs } the frame wasn't analyzed
+//                                            (detection error, or restarting)
+
+import { createFaceMesh, extractAttentionFeatures, getPrimaryFace, runVerifiedScript } from '../utils/mediapipe';
+import { loadBlazeFaceModel, extractBlazeFaceFeatures, getPrimaryBlazeFace } from '../utils/blazeface';
+import { drawDetectionOverlay } from '../utils/overlay';
+
+// Vite runs this as a module worker, where the built-in importScripts
+// throws. Face Mesh loads its WASM glue and packed assets loader with
+// importScripts, so stand in with one that only runs scripts mediapipe.js
+// has already fetched and checked against their SRI hashes.
+self.importScripts = (...urls) => urls.forEach(runVerifiedScript);
+
+let canvas = null;
+let ctx = null;
+let detector = null;        // { name, detect(image, timestamp) }
+let maxNumFaces = 1;
+let faceMesh = null;
+let analyzing = Promise.resolve();   // the frame in flight, if any
+let starting = Promise.resolve();    // the last init, so restarts queue up
+
+const sizeCanvas = (width, height) => {
+    if (canvas && (canvas.width !== width || canvas.height !== height)) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+};
+
+const startFaceMesh = async () => {
+    let latest = null;
+    const mesh = await createFaceMesh((results) => { latest = results; }, { maxNumFaces });
+    faceMesh = mesh;
+
+    return {
+        name: 'face_mesh',
+        detect: async (image, timestamp) => {
+            latest = null;
+            await mesh.send({ image });
+            const faces = latest?.multiFaceLandmarks?.length ? latest.multiFaceLandmarks : null;
+            const features = latest ? extractAttentionFeatures(latest, { timestamp }) : null;
+            if (ctx) drawDetectionOverlay(ctx, { landmarks: getPrimaryFace(latest) });
+            // Face Mesh hands back its own copy of the frame; we don't use it
+            latest?.image?.close?.();
+            return { faces, faceCount: faces?.length || 0, features };
+        }
+    };
+};
+
+const startBlazeFace = async () => {
+    const { model } = await loadBlazeFaceModel();
+
+    return {
+        name: 'blazeface',
+        detect: async (image, timestamp) => {
+            const faces = await model.estimateFaces(image, false);
+            if (ctx) drawDetectionOverlay(ctx, { blazeFace: getPrimaryBlazeFace(faces) });
+            // No mesh for face matching or redaction, but the boxes still
+            // count the people in view
+            return { faces: null, faceCount: faces.length, features: extractBlazeFaceFeatures(faces, { timestamp }) };
+        }
+    };
+};
+
+const startNone = async () => ({
+    name: 'none',
+    detect: async () => {
+        if (ctx) drawDetectionOverlay(ctx);
+        return { faces: null, faceCount: 0, features: null };
+    }
+});
+
+// Each FaceMesh holds a WASM graph that is only freed by close(); wait for
+// a frame still inside it to finish first
+const closeFaceMesh = async () => {
+    const mesh = faceMesh;
+    faceMesh = null;
+    if (!mesh) return;
+    await analyzing;
+    try {
+        await mesh.close();
+    } catch (error) {
+        console.warn('⚠️ Could not close Face Mesh:', error);
+    }
+};
+
+const init = async () => {
+    detector = null;
+    await closeFaceMesh();
+    const errors = [];
+    for (const start of [startFaceMesh, startBlazeFace, startNone]) {
+        try {
+            detector = await start();
+            break;
+        } catch (error) {
+            console.error('❌ Detector failed to start in worker:', error);
+            errors.push(error.message);
+        }
+    }
+    self.postMessage({ type: 'ready', detector: detector.name, errors });
+};
+
+// Always posts a result, even on failure: the page waits for one before
+// sending the next frame
+const analyze = async (frame, timestamp) => {
+    const start = performance.now();
+    let image = frame;
+
+    try {
+        // Face Mesh reads width/height off its input, which VideoFrame lacks
+        if (typeof VideoFrame !== 'undefined' && frame instanceof VideoFrame) {
+            image = await createImageBitmap(frame);
+        }
+        sizeCanvas(image.width, image.height);
+        const { faces, faceCount, features } = await detector.detect(image, timestamp);
+        self.postMessage({
+            type: 'result',
+            faces,
+            faceCount,
+            features,
+            frame: { width: image.width, height: image.height },
+            costMs: performance.now() - start
+        });
+    } catch (error) {
+        console.error('Worker detection error:', error);
+        // Not a frame without a face, so it mustn't count towards no_face
+        self.postMessage({ type: 'result', skipped: true, costMs: performance.now() - start });
+    } finally {
+        frame.close();
+        if (image !== frame) image.close();
+    }
+};
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            if (data.canvas) {
+                canvas = data.canvas;
+                ctx = canvas.getContext('2d');
+            }
+            maxNumFaces = data.maxNumFaces || 1;
+            detector = null;
+            starting = starting.then(init);
+            break;
+        case 'frame':
+            if (detector) {
+                analyzing = analyze(data.frame, data.timestamp);
+            } else {
+                // Restarting; still answer so the page sends the next frame
+                data.frame.close();
+                self.postMessage({ type: 'result', skipped: true, costMs: 0 });
+            }
+            break;
+        case 'options':
+            maxNumFaces = data.maxNumFaces || 1;
+            faceMesh?.setOptions({ maxNumFaces });
+            break;
+    }
+};
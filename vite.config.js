@@ -1,8 +1,14 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import mediapipeAssets from './plugins/mediapipeAssets'
 
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), mediapipeAssets()],
+    worker: {
+        // The detection worker code-splits (tfjs is loaded on demand)
+        format: 'es',
+        plugins: () => [mediapipeAssets({ emit: false })],
+    },
     server: {
         host: true,
         port: 5173,